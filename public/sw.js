@@ -0,0 +1,263 @@
+/**
+ * Service worker: keeps the portfolio browsable offline.
+ * - Pages, the header partial and the curated content are precached on install
+ * - Scripts and styles are cached as they load: built asset names are hashed and dev server
+ *   modules differ from the build, so neither can be listed here. Pages send the URLs they
+ *   loaded before the worker took over (see src/modules/serviceWorker.js).
+ * - Same-origin requests are served network-first, so edits show up immediately while online
+ * - Open Library JSON is served stale-while-revalidate, except for requests made with cache
+ *   mode 'no-cache': those are the persistent cache's own background refreshes and must not
+ *   get the stale copy back
+ * - Cover images are served cache-first, keeping at most MAX_COVER_ENTRIES covers. They are
+ *   fetched in CORS mode so a failed cover is seen as failed and never stored.
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'authorport-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`;
+const OPEN_LIBRARY_CACHE = `${CACHE_PREFIX}openlibrary-${CACHE_VERSION}`;
+const COVERS_CACHE = `${CACHE_PREFIX}covers-${CACHE_VERSION}`;
+
+const MAX_COVER_ENTRIES = 200;
+
+// Files with stable URLs needed to render each page offline. Add new pages here.
+const PRECACHE_URLS = [
+  '/home.html',
+  '/aboutMe.html',
+  '/books.html',
+  '/contact.html',
+  '/partials/header.html',
+  '/content/author-profile.json',
+  '/content/author-profile.md',
+  '/jkrowling.jpg',
+  '/jkrowling2.webp'
+];
+
+// Page served for navigations that were never cached
+const OFFLINE_FALLBACK_URL = '/home.html';
+
+// Same-origin paths that must always hit the network (proxies, dev server internals)
+const NETWORK_ONLY_PREFIXES = ['/api/', '/llm/', '/@'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+// { type: 'cache-urls', urls } from a page: store the scripts and styles it has loaded
+self.addEventListener('message', event => {
+  if (event.data?.type === 'cache-urls' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheUrls(event.data.urls));
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (isCoverRequest(url)) {
+    event.respondWith(cacheFirst(request, COVERS_CACHE));
+    return;
+  }
+
+  if (isOpenLibraryRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, OPEN_LIBRARY_CACHE));
+    return;
+  }
+
+  if (!isStaticRequest(url)) return;
+
+  event.respondWith(networkFirst(request));
+});
+
+/**
+ * Cache the precache list. A missing file is logged rather than failing the install,
+ * so one renamed module does not take offline support down with it.
+ * @returns {Promise<void>}
+ */
+async function precache() {
+  const cache = await caches.open(STATIC_CACHE);
+  const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(url)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn(`Service worker could not precache ${PRECACHE_URLS[index]}:`, result.reason);
+    }
+  });
+}
+
+/**
+ * Cache same-origin static files a page loaded before this worker controlled it
+ * @param {string[]} urls - Absolute URLs
+ * @returns {Promise<void>}
+ */
+async function cacheUrls(urls) {
+  const cache = await caches.open(STATIC_CACHE);
+  const staticUrls = urls.filter(url => {
+    try {
+      return isStaticRequest(new URL(url));
+    } catch {
+      return false;
+    }
+  });
+
+  await Promise.all(staticUrls.map(async url => {
+    if (await cache.match(url)) return;
+    try {
+      await cache.add(url);
+    } catch (error) {
+      console.warn(`Service worker could not cache ${url}:`, error);
+    }
+  }));
+}
+
+/**
+ * Remove caches left by earlier versions of this worker
+ * @returns {Promise<void>}
+ */
+async function deleteOldCaches() {
+  const current = [STATIC_CACHE, OPEN_LIBRARY_CACHE, COVERS_CACHE];
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+    .map(name => caches.delete(name)));
+}
+
+/**
+ * Check whether a request is for a cover image (Open Library or the mock server)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for cover images
+ */
+function isCoverRequest(url) {
+  return url.hostname === 'covers.openlibrary.org' || url.pathname.startsWith('/covers/');
+}
+
+/**
+ * Check whether a request is for Open Library JSON (Open Library or the mock server)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for Open Library API requests
+ */
+function isOpenLibraryRequest(url) {
+  return url.hostname === 'openlibrary.org' || url.pathname.startsWith('/openlibrary/');
+}
+
+/**
+ * Check whether a request is for the site's own pages, scripts, styles or content
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for same-origin files served network-first
+ */
+function isStaticRequest(url) {
+  return url.origin === self.location.origin &&
+    !isCoverRequest(url) &&
+    !isOpenLibraryRequest(url) &&
+    !NETWORK_ONLY_PREFIXES.some(prefix => url.pathname.startsWith(prefix));
+}
+
+/**
+ * Check whether the page asked for a fresh copy, bypassing HTTP caches
+ * @param {Request} request - Request
+ * @returns {boolean} True for cache modes that must not be answered from a cache
+ */
+function bypassesCache(request) {
+  return ['no-cache', 'no-store', 'reload'].includes(request.cache);
+}
+
+/**
+ * Network first, falling back to the cache; pages fall back to the home page
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Pages may carry filter state in the query string; any cached copy of the page will do
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    if (request.mode === 'navigate') {
+      const fallback = await cache.match(OFFLINE_FALLBACK_URL);
+      if (fallback) return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Serve from the cache when possible and refresh the cached copy in the background.
+ * Requests that bypass caches wait for the network and still update the cached copy.
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = bypassesCache(request) ? null : await cache.match(request);
+
+  const refresh = fetch(request).then(response => {
+    if (response.ok) {
+      return cache.put(request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Serve from the cache, fetching and storing on a miss
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  // <img> requests are no-cors and would come back opaque, hiding error statuses
+  let response;
+  try {
+    response = await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    // A host without CORS headers still gets the page's own request, but nothing is cached
+    return fetch(request);
+  }
+
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    await trimCache(cache, MAX_COVER_ENTRIES);
+  }
+  return response;
+}
+
+/**
+ * Delete the oldest entries until the cache holds at most maxEntries
+ * @param {Cache} cache - Cache
+ * @param {number} maxEntries - Maximum number of entries
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  if (excess <= 0) return;
+
+  // Keys come back in insertion order, so the first ones are the oldest
+  await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+}
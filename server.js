@@ -2,7 +2,20 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 
+// Server settings from .env (see .env.example); variables already set in the environment win.
+// Loaded before the handlers, which read their settings when required.
+try {
+  process.loadEnvFile(path.join(__dirname, '.env'));
+} catch (error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+const { handleMockOpenLibrary } = require('./server/mockOpenLibrary.cjs');
+const { handleLlmStub } = require('./server/llmStub.cjs');
+const { handleApiProxy } = require('./server/apiProxy.cjs');
+
 const PORT = 8000;
+const ROOT_DIR = __dirname;
 
 const mimeTypes = {
   '.html': 'text/html',
@@ -19,12 +32,49 @@ const mimeTypes = {
 };
 
 const server = http.createServer((req, res) => {
-  let filePath = '.' + req.url;
-  
-  if (filePath === './') {
-    filePath = './home.html';
+  // Mock Open Library API and covers, served from fixtures
+  if (handleMockOpenLibrary(req, res)) {
+    return;
+  }
+
+  // Stub LLM endpoint with canned completions
+  if (handleLlmStub(req, res)) {
+    return;
+  }
+
+  // Hugging Face proxy; the token stays on the server
+  if (handleApiProxy(req, res)) {
+    return;
+  }
+
+  // Files are looked up by path alone, so shared links like books.html?q=potter resolve
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    pathname = null;
   }
-  
+
+  if (!pathname || pathname.includes('\0')) {
+    res.writeHead(400, { 'Content-Type': 'text/html' });
+    res.end('<h1>400 - Bad Request</h1>', 'utf-8');
+    return;
+  }
+
+  if (pathname === '/') {
+    pathname = '/home.html';
+  }
+
+  // Decoded paths such as /..%2f.env must not escape the site root, and dotfiles such as
+  // .env (which holds the server's token) are never served
+  const filePath = path.join(ROOT_DIR, pathname);
+  const isDotfile = path.relative(ROOT_DIR, filePath).split(path.sep).some(segment => segment.startsWith('.'));
+  if (!filePath.startsWith(ROOT_DIR + path.sep) || isDotfile) {
+    res.writeHead(403, { 'Content-Type': 'text/html' });
+    res.end('<h1>403 - Forbidden</h1>', 'utf-8');
+    return;
+  }
+
   const extname = path.extname(filePath).toLowerCase();
   const contentType = mimeTypes[extname] || 'application/octet-stream';
 
@@ -51,4 +101,7 @@ const server = http.createServer((req, res) => {
 
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}/`);
+  console.log(`Mock Open Library at http://localhost:${PORT}/openlibrary (covers at /covers)`);
+  console.log(`Stub LLM endpoint at http://localhost:${PORT}/llm/v1/chat/completions`);
+  console.log(`Hugging Face proxy at http://localhost:${PORT}/api (${process.env.HUGGING_FACE_TOKEN ? 'token set' : 'HUGGING_FACE_TOKEN not set'})`);
 });
@@ -0,0 +1,196 @@
+/**
+ * Build the local description index from a downloaded Goodreads descriptions dump
+ *
+ * Usage: node server/buildDescriptionIndex.cjs --input=goodreads.jsonl [--output=public/data/description-index.json] [--all-authors]
+ *
+ * The input may be JSON Lines, a JSON array or CSV with title, author(s) and description
+ * columns (e.g. the booksouls/goodreads-book-descriptions dataset exported from Hugging Face).
+ * By default only rows by the configured author are kept, which keeps the index small enough
+ * to ship with the site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { readField } = require('./datasetFields.cjs');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'public', 'data', 'description-index.json');
+const INDEX_VERSION = 1;
+const MIN_DESCRIPTION_LENGTH = 50;
+
+/**
+ * Parse --key=value command line flags
+ * @returns {Object} Flags
+ */
+function parseArgs() {
+  return process.argv.slice(2).reduce((flags, arg) => {
+    const [key, ...rest] = arg.replace(/^--/, '').split('=');
+    flags[key] = rest.length ? rest.join('=') : 'true';
+    return flags;
+  }, {});
+}
+
+/**
+ * Stream rows from a JSON Lines file
+ * @param {string} filePath - Input path
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* readJsonLines(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf-8'), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      const parsed = JSON.parse(line);
+      yield parsed.row || parsed; // datasets-server rows wrap the record in { row }
+    } catch (error) {
+      console.warn(`  skipped line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Stream rows from a CSV file with a header line; quoted fields may span lines
+ * @param {string} filePath - Input path
+ * @returns {AsyncGenerator<Object>} Rows keyed by header
+ */
+async function* readCsv(filePath) {
+  let header = null;
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let pendingQuote = false;
+
+  /**
+   * Finish the current record and turn it into a row object
+   * @returns {Object|null} Row, or null for the header line
+   */
+  const endRecord = () => {
+    record.push(field);
+    field = '';
+    const values = record;
+    record = [];
+
+    if (!header) {
+      header = values.map(name => name.trim());
+      return null;
+    }
+    return Object.fromEntries(header.map((name, index) => [name, values[index] ?? '']));
+  };
+
+  for await (const chunk of fs.createReadStream(filePath, 'utf-8')) {
+    for (const char of chunk) {
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"'; // escaped quote inside a quoted field
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        const row = endRecord();
+        if (row) yield row;
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (field || record.length) {
+    const row = endRecord();
+    if (row) yield row;
+  }
+}
+
+/**
+ * Read every row from a JSON array file
+ * @param {string} filePath - Input path
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* readJsonArray(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  for (const item of Array.isArray(data) ? data : data.rows || []) {
+    yield item.row || item;
+  }
+}
+
+/**
+ * Pick a reader for the input file
+ * @param {string} filePath - Input path
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+function readRows(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') return readCsv(filePath);
+  if (extension === '.json') return readJsonArray(filePath);
+  return readJsonLines(filePath);
+}
+
+async function main() {
+  const flags = parseArgs();
+  if (!flags.input) {
+    console.error('Usage: node server/buildDescriptionIndex.cjs --input=<dump.jsonl|dump.csv|dump.json> [--output=<path>] [--all-authors]');
+    process.exit(1);
+  }
+
+  const output = flags.output ? path.resolve(flags.output) : DEFAULT_OUTPUT;
+  const { authorProfile, matchesAuthor } = await import('../src/modules/authorProfile.js');
+  const { normalizeTitle } = await import('../src/modules/workMatcher.js');
+
+  // Keep the longest description for each normalized title and author
+  const entries = new Map();
+  let rowCount = 0;
+
+  console.log(`Reading ${flags.input}...`);
+  for await (const row of readRows(flags.input)) {
+    rowCount++;
+
+    const title = readField(row, 'title');
+    const author = readField(row, 'author');
+    const description = readField(row, 'description').replace(/\s+/g, ' ');
+
+    if (!title || description.length < MIN_DESCRIPTION_LENGTH) continue;
+    if (!flags['all-authors'] && !matchesAuthor(author)) continue;
+
+    const key = normalizeTitle(title, authorProfile.titleEquivalents);
+    const entryKey = `${key}|${author.toLowerCase()}`;
+    const existing = entries.get(entryKey);
+    if (!existing || existing[3].length < description.length) {
+      entries.set(entryKey, [key, title, author, description]);
+    }
+  }
+
+  const index = {
+    version: INDEX_VERSION,
+    createdAt: new Date().toISOString(),
+    source: path.basename(flags.input),
+    author: flags['all-authors'] ? null : authorProfile.name,
+    fields: ['key', 'title', 'author', 'description'],
+    rows: [...entries.values()].sort((a, b) => a[0].localeCompare(b[0]))
+  };
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(index));
+  console.log(`Indexed ${index.rows.length} descriptions from ${rowCount} rows into ${path.relative(process.cwd(), output)}`);
+}
+
+main().catch(error => {
+  console.error('Building the description index failed:', error);
+  process.exit(1);
+});
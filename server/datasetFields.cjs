@@ -0,0 +1,29 @@
+/**
+ * Column handling shared by the description index builder and the /api/dataset proxy.
+ * Goodreads dumps and datasets-server rows name their columns differently, so each field
+ * is read through a list of accepted names.
+ */
+
+// Accepted column names for each field, compared case-insensitively
+const COLUMN_ALIASES = {
+  title: ['title', 'name', 'book_title'],
+  author: ['author', 'authors', 'author_name', 'author_names'],
+  description: ['description', 'desc', 'summary']
+};
+
+/**
+ * Read a field from a row using the accepted column names
+ * @param {Object} row - Parsed row
+ * @param {string} field - Field name in COLUMN_ALIASES
+ * @returns {string} Field value, arrays joined with ", "
+ */
+function readField(row, field) {
+  const column = Object.keys(row).find(name => COLUMN_ALIASES[field].includes(name.toLowerCase()));
+  const value = column ? row[column] : '';
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  readField
+};
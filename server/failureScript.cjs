@@ -0,0 +1,153 @@
+/**
+ * Scripted failures for local test servers
+ *
+ * Lets a server fail on cue to exercise the retry and circuit breaker policy, either
+ * in-process with scriptFailures() or over HTTP through handleFailureScript():
+ *   POST { "route": "/openlibrary/search.json", "steps": [{ "status": 503 }] }
+ *   DELETE
+ */
+
+const DEFAULT_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Content-Type': 'application/json'
+};
+
+// Scripted failure steps by route prefix, taken one per matching request
+const scriptedFailures = new Map();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { ...DEFAULT_HEADERS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Script how the next requests to a route fail. Each request whose path starts with the route
+ * takes the next step; once the steps run out the route is served normally again.
+ * @param {string} route - Path prefix, e.g. '/openlibrary/search.json'
+ * @param {Object[]} steps - One per request:
+ *   { status, retryAfter } answers with an error status and an optional Retry-After in seconds;
+ *   { delay } waits this many milliseconds first (with or without a status);
+ *   { hang: true } never answers; { reset: true } drops the connection
+ */
+function scriptFailures(route, steps) {
+  scriptedFailures.set(route, [...(scriptedFailures.get(route) || []), ...steps]);
+}
+
+/**
+ * Forget all scripted failures
+ */
+function clearScriptedFailures() {
+  scriptedFailures.clear();
+}
+
+/**
+ * Take the next scripted step for a path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Step, or null when the request should be served normally
+ */
+function takeScriptedStep(pathname) {
+  for (const [route, steps] of scriptedFailures) {
+    if (pathname.startsWith(route) && steps.length > 0) {
+      return steps.shift();
+    }
+  }
+  return null;
+}
+
+/**
+ * Play a scripted step instead of (or before) serving a request
+ * @param {Object} step - Step from scriptFailures
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Function} serve - Serves the request normally
+ */
+function runScriptedStep(step, req, res, serve) {
+  if (step.hang) return;
+
+  if (step.reset) {
+    req.socket.destroy();
+    return;
+  }
+
+  const respond = () => {
+    if (!step.status) {
+      serve();
+      return;
+    }
+
+    const headers = step.retryAfter !== undefined ? { 'Retry-After': String(step.retryAfter) } : {};
+    sendJson(res, step.status, { error: `scripted ${step.status}` }, headers);
+  };
+
+  if (step.delay) {
+    setTimeout(respond, step.delay);
+  } else {
+    respond();
+  }
+}
+
+/**
+ * Serve a request, or play the next scripted step for its path instead
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path matched against scripted routes
+ * @param {Function} serve - Serves the request normally
+ */
+function serveWithFailures(req, res, pathname, serve) {
+  const step = takeScriptedStep(pathname);
+  if (step) {
+    runScriptedStep(step, req, res, serve);
+  } else {
+    serve();
+  }
+}
+
+/**
+ * Handle POST (add steps) and DELETE (clear all) on a failure-scripting endpoint
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleFailureScript(req, res) {
+  if (req.method === 'DELETE') {
+    clearScriptedFailures();
+    sendJson(res, 200, { routes: [] });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Use POST or DELETE' });
+    return;
+  }
+
+  let data = '';
+  req.on('data', chunk => {
+    data += chunk;
+  });
+  req.on('end', () => {
+    try {
+      const { route, steps } = JSON.parse(data || '{}');
+      if (typeof route !== 'string' || !Array.isArray(steps)) {
+        sendJson(res, 400, { error: 'Expected { route, steps: [...] }' });
+        return;
+      }
+      scriptFailures(route, steps);
+      sendJson(res, 200, { routes: Array.from(scriptedFailures.keys()) });
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid request body: ${error.message}` });
+    }
+  });
+}
+
+module.exports = {
+  scriptFailures,
+  clearScriptedFailures,
+  serveWithFailures,
+  handleFailureScript
+};
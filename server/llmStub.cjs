@@ -0,0 +1,124 @@
+/**
+ * Stub LLM endpoint returning canned completions from fixtures/llm/completions.json
+ *
+ * Mounted by server.js under /llm and speaks three request formats:
+ * - POST /llm/v1/chat/completions (OpenAI chat)
+ * - POST /llm/v1/completions (OpenAI completions)
+ * - POST /llm/completion (llama.cpp server)
+ * Point VITE_LLM_ENDPOINT at one of these to exercise the AI description provider offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPLETIONS_PATH = path.join(__dirname, '..', 'fixtures', 'llm', 'completions.json');
+const LLM_PREFIX = '/llm';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Cross-Origin-Resource-Policy': 'cross-origin'
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Pick the canned completion for the book named in the prompt
+ * @param {string} prompt - Prompt text containing a "Title: ..." line
+ * @returns {string} Completion text
+ */
+function cannedCompletion(prompt) {
+  const completions = JSON.parse(fs.readFileSync(COMPLETIONS_PATH, 'utf-8'));
+  const title = (prompt.match(/^Title: (.+)$/m) || [])[1] || 'This book';
+  const lowerTitle = title.toLowerCase();
+
+  const match = Object.entries(completions.byTitle || {})
+    .find(([fragment]) => lowerTitle.includes(fragment));
+  return match ? match[1] : completions.default.replace('{title}', title);
+}
+
+/**
+ * Route a request to the LLM stub if it targets its prefix
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {boolean} True if the request was handled
+ */
+function handleLlmStub(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.pathname.startsWith(`${LLM_PREFIX}/`)) {
+    return false;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return true;
+  }
+
+  const route = url.pathname.slice(LLM_PREFIX.length);
+  readBody(req)
+    .then(body => {
+      if (route === '/v1/chat/completions') {
+        const prompt = (body.messages || []).map(message => message.content).join('\n');
+        return sendJson(res, 200, {
+          object: 'chat.completion',
+          model: body.model || 'stub',
+          choices: [{ index: 0, message: { role: 'assistant', content: cannedCompletion(prompt) }, finish_reason: 'stop' }]
+        });
+      }
+
+      if (route === '/v1/completions') {
+        return sendJson(res, 200, {
+          object: 'text_completion',
+          model: body.model || 'stub',
+          choices: [{ index: 0, text: ` ${cannedCompletion(body.prompt || '')}`, finish_reason: 'stop' }]
+        });
+      }
+
+      if (route === '/completion') {
+        return sendJson(res, 200, { content: ` ${cannedCompletion(body.prompt || '')}`, stop: true });
+      }
+
+      return sendJson(res, 404, { error: 'notfound' });
+    })
+    .catch(error => sendJson(res, 400, { error: `Invalid request body: ${error.message}` }));
+
+  return true;
+}
+
+module.exports = {
+  handleLlmStub,
+  cannedCompletion
+};
@@ -0,0 +1,233 @@
+/**
+ * Mock Open Library API served from recorded fixtures
+ *
+ * Mounted by server.js under /openlibrary (API) and /covers (cover images) so the
+ * site can run offline with VITE_OPEN_LIBRARY_BASE_URL / VITE_OPEN_LIBRARY_COVERS_URL
+ * pointed at the local server.
+ *
+ * Failures can be scripted per route to exercise the retry and circuit breaker policy (see
+ * failureScript.cjs), in-process or over HTTP on /openlibrary/__failures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { handleFailureScript, serveWithFailures } = require('./failureScript.cjs');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'openlibrary');
+const API_PREFIX = '/openlibrary';
+const COVERS_PREFIX = '/covers';
+const FAILURES_PATH = `${API_PREFIX}/__failures`;
+
+const DEFAULT_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Cross-Origin-Resource-Policy': 'cross-origin'
+};
+
+/**
+ * Turn a free-text query into a fixture file name
+ * @param {string} value - Query value
+ * @returns {string} File-system safe slug
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'all';
+}
+
+/**
+ * Resolve fixture paths for each supported route
+ */
+const fixturePaths = {
+  author: (authorId) => path.join(FIXTURES_DIR, 'authors', `${authorId}.json`),
+  authorWorks: (authorId) => path.join(FIXTURES_DIR, 'authors', `${authorId}`, 'works.json'),
+  search: (query) => path.join(FIXTURES_DIR, 'search', `${slugify(query)}.json`),
+  work: (workId) => path.join(FIXTURES_DIR, 'works', `${workId}.json`),
+  workEditions: (workId) => path.join(FIXTURES_DIR, 'works', `${workId}`, 'editions.json'),
+  workRatings: (workId) => path.join(FIXTURES_DIR, 'works', `${workId}`, 'ratings.json'),
+  workBookshelves: (workId) => path.join(FIXTURES_DIR, 'works', `${workId}`, 'bookshelves.json'),
+  cover: (coverId) => path.join(FIXTURES_DIR, 'covers', `${coverId}.jpg`)
+};
+
+/**
+ * Read and parse a JSON fixture
+ * @param {string} filePath - Fixture path
+ * @returns {Object|null} Parsed fixture or null when missing
+ */
+function readFixture(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Invalid fixture ${filePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Apply limit/offset paging to a list
+ * @param {Array} items - Full list
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Array} Requested page
+ */
+function paginate(items, params) {
+  const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+  const limit = parseInt(params.get('limit'), 10);
+  return Number.isFinite(limit) && limit >= 0
+    ? items.slice(offset, offset + limit)
+    : items.slice(offset);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...DEFAULT_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Build an SVG stand-in for covers that were not recorded
+ * @param {string} coverId - Cover ID
+ * @returns {string} SVG markup
+ */
+function placeholderCover(coverId) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="450" viewBox="0 0 300 450">
+  <rect width="300" height="450" fill="#F0F0F0"/>
+  <text x="150" y="215" font-family="Arial" font-size="18" fill="#666" text-anchor="middle">No Cover</text>
+  <text x="150" y="245" font-family="Arial" font-size="12" fill="#999" text-anchor="middle">${slugify(coverId)}</text>
+</svg>`;
+}
+
+/**
+ * Handle /openlibrary/* API requests
+ * @param {string} apiPath - Path below the API prefix
+ * @param {URLSearchParams} params - Query parameters
+ * @param {http.ServerResponse} res - Response
+ */
+function handleApi(apiPath, params, res) {
+  let match = apiPath.match(/^\/authors\/([^/]+)\/works\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.authorWorks(match[1]));
+    if (!fixture) return sendJson(res, 404, { error: 'notfound' });
+
+    const entries = fixture.entries || [];
+    return sendJson(res, 200, { ...fixture, size: entries.length, entries: paginate(entries, params) });
+  }
+
+  match = apiPath.match(/^\/authors\/([^/]+)\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.author(match[1]));
+    return fixture ? sendJson(res, 200, fixture) : sendJson(res, 404, { error: 'notfound' });
+  }
+
+  if (apiPath === '/search.json') {
+    const query = params.get('author') || params.get('q') || params.get('title');
+    const fixture = readFixture(fixturePaths.search(query));
+    if (!fixture) return sendJson(res, 200, { numFound: 0, start: 0, docs: [] });
+
+    const docs = fixture.docs || [];
+    return sendJson(res, 200, {
+      ...fixture,
+      numFound: docs.length,
+      start: parseInt(params.get('offset'), 10) || 0,
+      docs: paginate(docs, params)
+    });
+  }
+
+  match = apiPath.match(/^\/works\/([^/]+)\/editions\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.workEditions(match[1]));
+    const entries = fixture?.entries || [];
+    return sendJson(res, 200, { ...fixture, size: entries.length, entries: paginate(entries, params) });
+  }
+
+  // Unrecorded works answer like Open Library does for works nobody has rated or shelved
+  match = apiPath.match(/^\/works\/([^/]+)\/ratings\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.workRatings(match[1]));
+    return sendJson(res, 200, fixture || {
+      summary: { average: null, count: 0 },
+      counts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    });
+  }
+
+  match = apiPath.match(/^\/works\/([^/]+)\/bookshelves\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.workBookshelves(match[1]));
+    return sendJson(res, 200, fixture || {
+      counts: { want_to_read: 0, currently_reading: 0, already_read: 0 }
+    });
+  }
+
+  match = apiPath.match(/^\/works\/([^/]+)\.json$/);
+  if (match) {
+    const fixture = readFixture(fixturePaths.work(match[1]));
+    return fixture ? sendJson(res, 200, fixture) : sendJson(res, 404, { error: 'notfound' });
+  }
+
+  return sendJson(res, 404, { error: 'notfound' });
+}
+
+/**
+ * Handle /covers/b/id/:id-:size.jpg (book cover) and /covers/a/id/:id-:size.jpg (author photo) requests
+ * @param {string} coverPath - Path below the covers prefix
+ * @param {http.ServerResponse} res - Response
+ */
+function handleCover(coverPath, res) {
+  const match = coverPath.match(/^\/[ab]\/id\/([^-/]+)-[SML]\.jpg$/);
+  if (!match) {
+    res.writeHead(404, DEFAULT_HEADERS);
+    res.end();
+    return;
+  }
+
+  fs.readFile(fixturePaths.cover(match[1]), (error, content) => {
+    if (error) {
+      res.writeHead(200, { ...DEFAULT_HEADERS, 'Content-Type': 'image/svg+xml' });
+      res.end(placeholderCover(match[1]));
+      return;
+    }
+
+    res.writeHead(200, { ...DEFAULT_HEADERS, 'Content-Type': 'image/jpeg' });
+    res.end(content);
+  });
+}
+
+/**
+ * Route a request to the mock API if it targets one of its prefixes
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {boolean} True if the request was handled
+ */
+function handleMockOpenLibrary(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let serve;
+
+  if (url.pathname === FAILURES_PATH) {
+    handleFailureScript(req, res);
+    return true;
+  }
+
+  if (url.pathname.startsWith(`${API_PREFIX}/`)) {
+    serve = () => handleApi(url.pathname.slice(API_PREFIX.length), url.searchParams, res);
+  } else if (url.pathname.startsWith(`${COVERS_PREFIX}/`)) {
+    serve = () => handleCover(url.pathname.slice(COVERS_PREFIX.length), res);
+  } else {
+    return false;
+  }
+
+  serveWithFailures(req, res, url.pathname, serve);
+  return true;
+}
+
+module.exports = {
+  handleMockOpenLibrary,
+  fixturePaths,
+  slugify,
+  FIXTURES_DIR
+};
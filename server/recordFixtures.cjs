@@ -0,0 +1,135 @@
+/**
+ * Record a fresh Open Library fixture set from the live API
+ *
+ * Usage: node server/recordFixtures.cjs [--limit=100] [--covers]
+ * Requires network access to openlibrary.org and Node 18+ (global fetch).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fixturePaths } = require('./mockOpenLibrary.cjs');
+
+const OPEN_LIBRARY_BASE_URL = 'https://openlibrary.org';
+const COVERS_BASE_URL = 'https://covers.openlibrary.org';
+const REQUEST_DELAY = 200; // be polite to the live API
+
+/**
+ * Parse --key=value command line flags
+ * @returns {Object} Flags
+ */
+function parseArgs() {
+  return process.argv.slice(2).reduce((flags, arg) => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    flags[key] = value;
+    return flags;
+  }, {});
+}
+
+/**
+ * Wait for the given time
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Write data to a fixture path, creating directories as needed
+ * @param {string} filePath - Fixture path
+ * @param {string|Buffer} data - File contents
+ */
+function writeFixture(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, data);
+  console.log(`  wrote ${path.relative(process.cwd(), filePath)}`);
+}
+
+/**
+ * Fetch JSON from the live API
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Parsed body
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status} for ${url}`);
+  }
+  await sleep(REQUEST_DELAY);
+  return response.json();
+}
+
+async function main() {
+  const flags = parseArgs();
+  const limit = parseInt(flags.limit, 10) || 100;
+  const { authorProfile } = await import('../src/modules/authorProfile.js');
+
+  const workKeys = new Set();
+  const coverIds = new Set();
+
+  for (const authorId of authorProfile.authors.map(identity => identity.id).filter(Boolean)) {
+    console.log(`Recording author record for ${authorId}...`);
+    const author = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/authors/${authorId}.json`);
+    writeFixture(fixturePaths.author(authorId), JSON.stringify(author, null, 2));
+
+    console.log(`Recording works for ${authorId}...`);
+    const works = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/authors/${authorId}/works.json?limit=${limit}`);
+    writeFixture(fixturePaths.authorWorks(authorId), JSON.stringify(works, null, 2));
+
+    (works.entries || []).forEach(work => {
+      if (work.key) workKeys.add(work.key.replace('/works/', ''));
+      (work.covers || []).filter(id => id > 0).slice(0, 1).forEach(id => coverIds.add(id));
+    });
+  }
+
+  for (const identity of authorProfile.authors) {
+    const searchName = identity.searchName || identity.name;
+    console.log(`Recording search results for ${searchName}...`);
+    const searchQuery = encodeURIComponent(searchName).replace(/%20/g, '+');
+    const search = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/search.json?author=${searchQuery}&limit=${limit}`);
+    writeFixture(fixturePaths.search(searchName), JSON.stringify(search, null, 2));
+    (search.docs || []).forEach(doc => {
+      if (doc.cover_i) coverIds.add(doc.cover_i);
+    });
+  }
+
+  console.log(`Recording ${workKeys.size} work records with their editions, ratings and bookshelves...`);
+  for (const workId of workKeys) {
+    try {
+      const work = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/works/${workId}.json`);
+      writeFixture(fixturePaths.work(workId), JSON.stringify(work, null, 2));
+
+      const editions = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/works/${workId}/editions.json?limit=100`);
+      writeFixture(fixturePaths.workEditions(workId), JSON.stringify(editions, null, 2));
+
+      const ratings = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/works/${workId}/ratings.json`);
+      writeFixture(fixturePaths.workRatings(workId), JSON.stringify(ratings, null, 2));
+
+      const bookshelves = await fetchJson(`${OPEN_LIBRARY_BASE_URL}/works/${workId}/bookshelves.json`);
+      writeFixture(fixturePaths.workBookshelves(workId), JSON.stringify(bookshelves, null, 2));
+    } catch (error) {
+      console.warn(`  skipped ${workId}: ${error.message}`);
+    }
+  }
+
+  if (flags.covers) {
+    console.log(`Recording ${coverIds.size} covers...`);
+    for (const coverId of coverIds) {
+      try {
+        const response = await fetch(`${COVERS_BASE_URL}/b/id/${coverId}-M.jpg`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        writeFixture(fixturePaths.cover(coverId), Buffer.from(await response.arrayBuffer()));
+        await sleep(REQUEST_DELAY);
+      } catch (error) {
+        console.warn(`  skipped cover ${coverId}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log('Fixture recording complete.');
+}
+
+main().catch(error => {
+  console.error('Fixture recording failed:', error);
+  process.exit(1);
+});
@@ -4,13 +4,19 @@ import { Navigation } from './modules/navigation.js';
 import { FeaturedBooksCarousel } from './modules/featuredBooksCarousel.js';
 import { BooksPageManager } from './modules/booksPage.js';
 import { searchBooksFromOpenLibrary, generateBookDescription } from './modules/apiService.js';
-import { BooksPageModal } from './modules/modals.js';
+import { AboutModal, BooksPageModal } from './modules/modals.js';
+import { AboutPage } from './modules/aboutPage.js';
+import { MatchDebugPanel } from './modules/matchDebugPanel.js';
+import { authorProfile } from './modules/authorProfile.js';
+import { OfflineBanner } from './modules/offlineBanner.js';
+import { registerServiceWorker } from './modules/serviceWorker.js';
 
 // Global instances
 let navigation;
 let featuredCarousel;
 let booksPageManager;
 let booksModal;
+let aboutModal;
 
 // Global variable to track if we're on home page for carousel
 let isHomePage = false;
@@ -60,6 +66,13 @@ function initCardSlider({
   updateSlider();
 }
 
+// ========== AUTHOR COPY ==========
+function applyAuthorName() {
+  document.querySelectorAll('[data-author-name]').forEach(element => {
+    element.textContent = authorProfile.name;
+  });
+}
+
 // ========== CONTACT FORM ==========
 function initContactForm() {
   const contactForm = document.getElementById('contactForm');
@@ -97,114 +110,15 @@ function initAboutCards() {
 }
 
 function showAboutModal(cardType) {
-  if (!document.getElementById('aboutModal')) {
-    createAboutModal();
-  }
-  
-  populateAboutModal(cardType);
-  
-  const modal = document.getElementById('aboutModal');
-  modal.style.display = 'flex';
-  document.body.style.overflow = 'hidden';
-}
-
-function createAboutModal() {
-  const modalHTML = `
-    <div id="aboutModal" class="modal">
-      <div class="modal-content about-modal-content">
-        <span class="close" onclick="closeAboutModal()">&times;</span>
-        <h2 id="aboutModalTitle"></h2>
-        <div id="aboutModalContent"></div>
-      </div>
-    </div>
-  `;
-  
-  document.body.insertAdjacentHTML('beforeend', modalHTML);
-  
-  // Close modal when clicking outside
-  addEvent(document.getElementById('aboutModal'), 'click', (e) => {
-    if (e.target.id === 'aboutModal') {
-      closeAboutModal();
-    }
-  });
-}
-
-function populateAboutModal(cardType) {
-  const titleElement = document.getElementById('aboutModalTitle');
-  const contentElement = document.getElementById('aboutModalContent');
-  
-  const content = {
-    personal: {
-      title: "Personal Journey",
-      content: `
-        <p>J.K. Rowling's journey from struggling single mother to world-renowned author is one of the most inspiring stories in literature. Born in Yate, England, she conceived the idea for Harry Potter during a delayed train journey in 1990.</p>
-        <p>After facing numerous rejections from publishers, Bloomsbury finally accepted her manuscript in 1997. The rest, as they say, is magical history.</p>
-        <ul>
-          <li>Born: July 31, 1965</li>
-          <li>Birthplace: Yate, Gloucestershire, England</li>
-          <li>Education: University of Exeter</li>
-          <li>First book published: 1997</li>
-        </ul>
-      `
-    },
-    achievements: {
-      title: "Literary Achievements",
-      content: `
-        <p>J.K. Rowling's achievements extend far beyond the Harry Potter series, though that alone would cement her legacy in literary history.</p>
-        <div class="achievement-grid">
-          <div class="achievement-item">
-            <h4>Awards & Honours</h4>
-            <ul>
-              <li>Order of the British Empire (OBE) - 2001</li>
-              <li>Companion of Honour - 2017</li>
-              <li>Hans Christian Andersen Literature Award - 2010</li>
-              <li>Multiple Hugo Awards</li>
-            </ul>
-          </div>
-          <div class="achievement-item">
-            <h4>Sales & Records</h4>
-            <ul>
-              <li>Over 500 million books sold worldwide</li>
-              <li>Translated into 80+ languages</li>
-              <li>First billionaire author</li>
-              <li>Fastest-selling book series in history</li>
-            </ul>
-          </div>
-        </div>
-      `
-    },
-    philanthropy: {
-      title: "Philanthropy & Social Impact",
-      content: `
-        <p>Beyond her literary success, J.K. Rowling is known for her extensive charitable work and social activism.</p>
-        <div class="philanthropy-section">
-          <h4>Major Initiatives</h4>
-          <ul>
-            <li><strong>Lumos:</strong> Founded in 2005 to help disadvantaged children worldwide</li>
-            <li><strong>Multiple Sclerosis Research:</strong> Significant donations to MS research in honor of her mother</li>
-            <li><strong>Single Parent Support:</strong> Advocacy and support for single parents</li>
-            <li><strong>Education:</strong> Funding for literacy programs and educational initiatives</li>
-          </ul>
-          
-          <h4>Social Causes</h4>
-          <p>Rowling has been vocal about social justice issues, women's rights, and has used her platform to raise awareness about various humanitarian causes. Her commitment to giving back has seen her donate millions to charity.</p>
-        </div>
-      `
-    }
-  };
-  
-  const cardContent = content[cardType];
-  if (cardContent) {
-    titleElement.textContent = cardContent.title;
-    contentElement.innerHTML = cardContent.content;
+  if (!aboutModal) {
+    aboutModal = new AboutModal();
   }
+  aboutModal.showSection(cardType);
 }
 
 function closeAboutModal() {
-  const modal = document.getElementById('aboutModal');
-  if (modal) {
-    modal.style.display = 'none';
-    document.body.style.overflow = 'auto';
+  if (aboutModal) {
+    aboutModal.hide();
   }
 }
 
@@ -227,12 +141,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     return; // stop running inits before redirect
   }
 
+  // Offline support: cache pages and data, and say so when the connection drops
+  registerServiceWorker();
+  new OfflineBanner().init();
+
   // Initialize modules
   try {
     // Initialize navigation
     navigation = new Navigation();
     navigation.init();
 
+    // Matching diagnostics for the books page (opt-in via ?debug=matching)
+    new MatchDebugPanel().init();
+
     // Initialize books page manager
     booksPageManager = new BooksPageManager();
     await booksPageManager.init();
@@ -247,10 +168,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize books modal
     booksModal = new BooksPageModal();
 
+    // Render the about page from the merged author biography
+    new AboutPage().init();
+
     // Initialize legacy functionality
     initCardSlider();
     initContactForm();
     initAboutCards();
+    applyAuthorName();
     
     console.log('Application initialized successfully');
   } catch (error) {
@@ -0,0 +1,136 @@
+/**
+ * About page rendering from the merged author biography
+ */
+
+import { loadAuthorBio } from './authorBio.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * About Page
+ */
+export class AboutPage {
+  constructor() {
+    this.container = null;
+  }
+
+  /**
+   * Render the page if the about page container is present
+   */
+  async init() {
+    this.container = document.getElementById('aboutPage');
+    if (!this.container) return; // Not on about page
+
+    const bio = await loadAuthorBio();
+    this.renderHeader(bio);
+    this.renderBiography(bio);
+    this.renderFacts(bio);
+    this.renderQuote(bio);
+    this.renderWriting(bio);
+    this.renderLinks(bio);
+  }
+
+  /**
+   * Render the tagline and portrait
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderHeader(bio) {
+    const tagline = document.getElementById('authorTagline');
+    if (tagline) {
+      tagline.textContent = bio.tagline;
+      tagline.hidden = !bio.tagline;
+    }
+
+    const portrait = document.getElementById('authorPortrait');
+    const src = bio.portrait?.src || bio.photoUrl;
+    if (portrait && src) {
+      portrait.src = src;
+      portrait.alt = bio.portrait?.alt || bio.name;
+    }
+  }
+
+  /**
+   * Render the biography, noting when it comes from Open Library
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderBiography(bio) {
+    const element = document.getElementById('authorBiography');
+    if (!element) return;
+
+    if (!bio.biographyHtml) {
+      element.innerHTML = '<p>The biography is not available right now.</p>';
+      return;
+    }
+
+    const source = bio.biographySource === 'openlibrary'
+      ? '<p class="bio-source">Biography from Open Library</p>'
+      : '';
+    element.innerHTML = bio.biographyHtml + source;
+  }
+
+  /**
+   * Render key facts and alternate names
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderFacts(bio) {
+    const element = document.getElementById('authorFacts');
+    if (!element) return;
+
+    const facts = [...bio.facts];
+    if (bio.alternateNames.length) {
+      facts.push({ label: 'Also known as', value: bio.alternateNames.join(', ') });
+    }
+
+    element.innerHTML = facts.map(fact => `
+      <div class="author-fact">
+        <dt>${escapeHtml(fact.label)}</dt>
+        <dd>${escapeHtml(fact.value)}</dd>
+      </div>
+    `).join('');
+    element.hidden = facts.length === 0;
+  }
+
+  /**
+   * Render the featured quote
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderQuote(bio) {
+    const element = document.getElementById('authorQuote');
+    if (!element) return;
+
+    element.hidden = !bio.quote?.text;
+    if (element.hidden) return;
+
+    const cite = bio.quote.cite ? `<cite>— ${escapeHtml(bio.quote.cite)}</cite>` : '';
+    element.innerHTML = `<blockquote>“${escapeHtml(bio.quote.text)}”${cite}</blockquote>`;
+  }
+
+  /**
+   * Render the "writing" section from the curated Markdown
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderWriting(bio) {
+    const element = document.getElementById('authorWriting');
+    if (!element) return;
+
+    const section = bio.sections.writing;
+    element.hidden = !section;
+    if (section) {
+      element.innerHTML = `<h2>${escapeHtml(section.title)}</h2>${section.html}`;
+    }
+  }
+
+  /**
+   * Render external links
+   * @param {Object} bio - Biography from loadAuthorBio
+   */
+  renderLinks(bio) {
+    const element = document.getElementById('authorLinks');
+    if (!element) return;
+
+    const links = bio.links.filter(link => /^https?:\/\//i.test(link.url));
+    element.hidden = links.length === 0;
+    element.innerHTML = links.map(link => `
+      <a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.title)}</a>
+    `).join('');
+  }
+}
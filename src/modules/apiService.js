@@ -2,55 +2,129 @@
  * API service for external data fetching with caching
  */
 
-// Get Hugging Face token from environment variables
-const HUGGING_FACE_TOKEN = import.meta.env.VITE_HUGGING_FACE_TOKEN || '';
-const OPEN_LIBRARY_BASE_URL = 'https://openlibrary.org';
-const HUGGING_FACE_BASE_URL = 'https://api-inference.huggingface.co';
+import { ErrorKind, getJson, request } from './httpClient.js';
+import {
+  AuthorRole,
+  authorProfile,
+  findAuthorIdentity,
+  formatAuthorCopy,
+  formatByline,
+  getAuthorSearchQuery,
+  getPrimaryAuthorId,
+  matchesAuthor
+} from './authorProfile.js';
+import {
+  getCacheEntry,
+  setCacheEntry,
+  isCacheEntryStale,
+  revalidateInBackground,
+  staleWhileRevalidate
+} from './persistentCache.js';
+import { getBookGenres, normalizeSubjects } from './taxonomy.js';
+import { runWithConcurrency } from './workQueue.js';
+import { DescriptionSource, registerDescriptionProvider, resolveDescription } from './descriptionProviders.js';
+import {
+  createMatchReport,
+  matchWorks,
+  normalizeBaseTitle,
+  normalizeTitle,
+  publishMatchReport,
+  titleSimilarity
+} from './workMatcher.js';
+import { isServiceDegraded, onServiceStatusChange } from './resilience.js';
+import { assignSeries } from './series.js';
 
-// Cache for API responses
-const apiCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Open Library endpoints; point these at the local mock server (server.js) to run offline
+const endpoints = {
+  openLibrary: import.meta.env.VITE_OPEN_LIBRARY_BASE_URL || 'https://openlibrary.org',
+  covers: import.meta.env.VITE_OPEN_LIBRARY_COVERS_URL || 'https://covers.openlibrary.org',
+  descriptionIndex: import.meta.env.VITE_DESCRIPTION_INDEX_URL || '/data/description-index.json',
+  api: import.meta.env.VITE_API_BASE_URL || '/api', // server.js proxy holding the Hugging Face token
+  llm: import.meta.env.VITE_LLM_ENDPOINT || '' // OpenAI-compatible or llama.cpp endpoint; empty uses the /api/describe proxy
+};
+
+// Proxy endpoints that answered "not here" (static hosting, no token); skipped for the session
+const unavailableEndpoints = new Set();
+
+// Generation settings for the LLM description provider
+const llmSettings = {
+  style: import.meta.env.VITE_LLM_API_STYLE || 'auto', // 'openai-chat', 'openai-completions', 'llamacpp' or 'auto'
+  model: import.meta.env.VITE_LLM_MODEL || 'local-model',
+  maxTokens: 200,
+  temperature: 0.7
+};
 
 /**
- * Cached fetch wrapper
- * @param {string} url - URL to fetch
- * @param {object} options - Fetch options
- * @returns {Promise} Response
+ * Override the Open Library endpoints at runtime (e.g. for tests or offline demos)
+ * @param {Object} overrides - Endpoint overrides
+ * @param {string} overrides.openLibrary - API base URL
+ * @param {string} overrides.covers - Covers base URL
+ * @param {string} overrides.descriptionIndex - URL of the local description index
+ * @param {string} overrides.api - Base URL of the server-side API proxy
+ * @param {string} overrides.llm - LLM completion endpoint URL
  */
-async function cachedFetch(url, options = {}) {
-  const cacheKey = `${url}_${JSON.stringify(options)}`;
-  const cached = apiCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
-  }
-  
-  const response = await fetch(url, options);
-  const data = await response.json();
-  
-  apiCache.set(cacheKey, {
-    data: { ...response, json: () => Promise.resolve(data) },
-    timestamp: Date.now()
+export function configureEndpoints(overrides = {}) {
+  Object.entries(overrides).forEach(([name, url]) => {
+    if (url) endpoints[name] = url.replace(/\/+$/, '');
+  });
+  unavailableEndpoints.clear();
+}
+
+/**
+ * Build a cover image URL
+ * @param {number|string} coverId - Open Library cover ID
+ * @param {string} size - 'S', 'M' or 'L'
+ * @returns {string} Cover URL
+ */
+export function getCoverUrl(coverId, size = 'L') {
+  return `${endpoints.covers}/b/id/${coverId}-${size}.jpg`;
+}
+
+/**
+ * Build an author photo URL
+ * @param {number|string} photoId - Open Library photo ID
+ * @param {string} size - 'S', 'M' or 'L'
+ * @returns {string} Photo URL
+ */
+export function getAuthorPhotoUrl(photoId, size = 'L') {
+  return `${endpoints.covers}/a/id/${photoId}-${size}.jpg`;
+}
+
+/**
+ * Check whether Open Library is currently degraded (its circuit breaker is not closed)
+ * @returns {boolean} True if Open Library requests are failing
+ */
+export function isOpenLibraryDegraded() {
+  return isServiceDegraded(endpoints.openLibrary);
+}
+
+/**
+ * Subscribe to Open Library availability changes
+ * @param {Function} listener - Called with true when degraded, false when recovered
+ * @returns {Function} Unsubscribe function
+ */
+export function onOpenLibraryStatusChange(listener) {
+  let lastDegraded = isOpenLibraryDegraded();
+  return onServiceStatusChange(() => {
+    const degraded = isOpenLibraryDegraded();
+    if (degraded !== lastDegraded) {
+      lastDegraded = degraded;
+      listener(degraded);
+    }
   });
-  
-  return { ...response, json: () => Promise.resolve(data) };
 }
 
 /**
  * Fetch books from Open Library API
  * @param {string} authorId - Author ID for Open Library
  * @param {number} limit - Number of books to fetch
- * @returns {Promise<Object>} API response
+ * @param {number} offset - Number of works to skip, for paging
+ * @param {Object} requestOptions - Request options (see httpClient request), e.g. { revalidate }
+ * @returns {Promise<Object>} API response; `size` is the author's total work count
  */
-export async function fetchBooksFromOpenLibrary(authorId = 'OL23919A', limit = 50) {
+export async function fetchBooksFromOpenLibrary(authorId = getPrimaryAuthorId(), limit = 50, offset = 0, requestOptions = {}) {
   try {
-    const response = await fetch(`${OPEN_LIBRARY_BASE_URL}/authors/${authorId}/works.json?limit=${limit}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    return await response.json();
+    return await getJson(`${endpoints.openLibrary}/authors/${authorId}/works.json?limit=${limit}&offset=${offset}`, requestOptions);
   } catch (error) {
     console.error('Error fetching books from Open Library:', error);
     throw error;
@@ -61,68 +135,135 @@ export async function fetchBooksFromOpenLibrary(authorId = 'OL23919A', limit = 5
  * Search books from Open Library
  * @param {string} author - Author name
  * @param {number} limit - Number of results
- * @returns {Promise<Object>} Search results
+ * @param {number} offset - Number of results to skip, for paging
+ * @param {Object} requestOptions - Request options (see httpClient request), e.g. { revalidate }
+ * @returns {Promise<Object>} Search results; `numFound` is the total match count
  */
-export async function searchBooksFromOpenLibrary(author = 'J.K.+Rowling', limit = 100) {
+export async function searchBooksFromOpenLibrary(author = getAuthorSearchQuery(), limit = 100, offset = 0, requestOptions = {}) {
   try {
-    const response = await fetch(`${OPEN_LIBRARY_BASE_URL}/search.json?author=${author}&limit=${limit}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    return await response.json();
+    return await getJson(`${endpoints.openLibrary}/search.json?author=${author}&limit=${limit}&offset=${offset}`, requestOptions);
   } catch (error) {
     console.error('Error searching books from Open Library:', error);
     throw error;
   }
 }
 
+// Kinds of paged source books are loaded from
+const BookSourceKind = Object.freeze({
+  WORKS: 'works', // an author's works list
+  SEARCH: 'search' // a search by author name
+});
+
+// Default enrichment settings for per-work detail requests
+const ENRICHMENT_DEFAULTS = {
+  concurrency: 6,
+  taskTimeout: 5000, // 5 seconds per work
+  deadline: 30000 // 30 seconds for the whole batch
+};
+
 /**
- * Fetch detailed book information including languages and subjects from J.K. Rowling works
- * @param {number} limit - Number of books to fetch
- * @returns {Promise<Object>} Books with detailed information
+ * Fetch detailed book information including languages and subjects for the configured author.
+ * Cached results are served immediately and refreshed in the background when stale. On a cache
+ * miss, base data is returned as soon as it arrives and per-work enrichment streams in through
+ * `onBookEnriched`; the returned `enrichment` promise settles when it is done.
+ * Results are paged: pass the previous page's `nextCursor` as `cursor` while `hasMore` is true.
+ * A work can arrive on different pages of the works list and the search, so callers should
+ * combine pages with dedupeByWorkKey.
+ * @param {number} limit - Number of books to fetch (page size)
+ * @param {Object} options - Options
+ * @param {Object|null} options.cursor - Offset of each source, from the previous page's
+ *   `nextCursor`; null for the first page
+ * @param {Function} options.onUpdate - Called with fresh data after a background refresh
+ * @param {Function} options.onBookEnriched - Called with each book as its details are patched in
+ * @param {Object} options.enrichment - Overrides for concurrency, taskTimeout and deadline
+ * @returns {Promise<Object>} { books, total, totalAvailable, nextCursor, hasMore, updatedAt, fromCache, enrichment }
  */
-export async function fetchDetailedJKRowlingBooks(limit = 100) {
-  try {
-    // Use cached fetch for better performance
-    const [worksResponse, searchResponse] = await Promise.all([
-      cachedFetch(`${OPEN_LIBRARY_BASE_URL}/authors/OL23919A/works.json?limit=${limit}`),
-      cachedFetch(`${OPEN_LIBRARY_BASE_URL}/search.json?author=J.K.+Rowling&limit=${limit}`)
-    ]);
-    
-    if (!worksResponse.ok || !searchResponse.ok) {
-      throw new Error('API request failed');
+export async function fetchDetailedAuthorBooks(limit = 100, options = {}) {
+  const { cursor = null, onUpdate, onBookEnriched, enrichment = {} } = options;
+  const authorKey = authorProfile.authors.map(identity => identity.id || identity.searchName || identity.name).join(',');
+  const cacheKey = `detailed-books:${endpoints.openLibrary}:${authorKey}:${limit}:${cursor ? JSON.stringify(cursor) : 'start'}`;
+  const enrichmentOptions = { ...ENRICHMENT_DEFAULTS, ...enrichment };
+
+  const cached = await getCacheEntry(cacheKey);
+  if (cached) {
+    if (isCacheEntryStale(cached)) {
+      revalidateInBackground(
+        cacheKey,
+        async ({ revalidate }) => {
+          const base = await loadBaseAuthorBooks(limit, cursor, { revalidate });
+          const books = await enrichBooks(base.books, { ...enrichmentOptions, revalidate });
+          return { ...base, books, total: books.length };
+        },
+        onUpdate
+          ? (value, timestamp) => onUpdate({ ...value, updatedAt: timestamp, fromCache: false })
+          : undefined
+      );
     }
+
+    return {
+      ...cached.value,
+      updatedAt: cached.timestamp,
+      fromCache: true,
+      enrichment: Promise.resolve(cached.value.books)
+    };
+  }
+
+  const base = await loadBaseAuthorBooks(limit, cursor);
+  const enrichmentPromise = enrichBooks(base.books, { ...enrichmentOptions, onProgress: onBookEnriched })
+    .then(async books => {
+      await setCacheEntry(cacheKey, { ...base, books, total: books.length });
+      return books;
+    });
+
+  return {
+    ...base,
+    updatedAt: Date.now(),
+    fromCache: false,
+    enrichment: enrichmentPromise
+  };
+}
+
+/**
+ * Load one page from each book source and merge them into base book records, without
+ * per-work details. Each source is paged on its own offset, since the works list and the
+ * search return works in different orders and have different totals.
+ * @param {number} limit - Number of records to fetch per source
+ * @param {Object|null} cursor - Offset of each source still to load (see getPageInfo); null to start
+ * @param {Object} requestOptions - Request options for every Open Library call, e.g. { revalidate }
+ * @returns {Promise<Object>} { books, total, totalAvailable, nextCursor, hasMore }
+ */
+async function loadBaseAuthorBooks(limit, cursor = null, requestOptions = {}) {
+  const sources = getBookSources().filter(source => !cursor || source.id in cursor);
+  const offsetOf = source => (cursor ? cursor[source.id] : 0);
+  const fetchSource = source => (source.kind === BookSourceKind.WORKS
+    ? fetchBooksFromOpenLibrary(source.identity.id, limit, offsetOf(source), requestOptions)
+    : searchBooksFromOpenLibrary(getAuthorSearchQuery(source.identity), limit, offsetOf(source), requestOptions));
+  const searchSources = sources.filter(source => source.kind === BookSourceKind.SEARCH);
+
+  try {
+    // Responses are cached by the HTTP client for better performance
+    const pages = await fetchForSources(sources, fetchSource);
+    const worksPages = pages.filter(page => page.source.kind === BookSourceKind.WORKS);
+    const searchDocs = collectAuthorRecords(pages.filter(page => page.source.kind === BookSourceKind.SEARCH), 'docs');
+    const label = sources.map(source => `${source.id} offset ${offsetOf(source)}`).join(', ');
     
-    const [worksData, searchData] = await Promise.all([
-      worksResponse.json(),
-      searchResponse.json()
-    ]);
-    
-    // Try to enhance the data, but fall back to search data if enhancement fails
-    let enhancedBooks;
+    // Try to merge the data, but fall back to search data if merging fails
+    let books;
     try {
-      enhancedBooks = await enhanceBookData(worksData.entries, searchData.docs);
-    } catch (enhanceError) {
-      console.warn('Enhancement failed, using search data:', enhanceError);
-      enhancedBooks = searchData.docs || [];
+      books = buildBaseBooks(collectAuthorRecords(worksPages, 'entries'), searchDocs, label);
+    } catch (mergeError) {
+      console.warn('Merging works failed, using search data:', mergeError);
+      books = normalizeBooks(searchDocs, 'search');
     }
     
-    return {
-      books: enhancedBooks,
-      total: enhancedBooks.length
-    };
+    return { books, total: books.length, ...getPageInfo(sources, pages, offsetOf) };
   } catch (error) {
-    console.error('Error fetching detailed J.K. Rowling books:', error);
+    console.error(`Error fetching detailed ${authorProfile.name} books:`, error);
     // Fallback to simple search
     try {
-      const searchResponse = await cachedFetch(`${OPEN_LIBRARY_BASE_URL}/search.json?author=J.K.+Rowling&limit=${limit}`);
-      const searchData = await searchResponse.json();
-      return {
-        books: searchData.docs || [],
-        total: searchData.docs?.length || 0
-      };
+      const searchPages = await fetchForSources(searchSources, fetchSource);
+      const books = normalizeBooks(collectAuthorRecords(searchPages, 'docs'), 'search');
+      return { books, total: books.length, ...getPageInfo(searchSources, searchPages, offsetOf) };
     } catch (fallbackError) {
       console.error('Fallback search also failed:', fallbackError);
       throw fallbackError;
@@ -131,289 +272,1081 @@ export async function fetchDetailedJKRowlingBooks(limit = 100) {
 }
 
 /**
- * Enhance book data by combining works and search results
- * @param {Array} works - Works from author endpoint
- * @param {Array} searchBooks - Books from search endpoint
- * @returns {Promise<Array>} Enhanced books array
+ * List the sources books are loaded from: each identity's works list, when it has an
+ * Open Library ID, and a search by its name
+ * @returns {Object[]} { id, kind, identity } in a stable order; `id` names the source in cursors
  */
-async function enhanceBookData(works, searchBooks) {
-  const enhancedBooks = [];
-  const processedTitles = new Set();
-  
-  // Create a map of search books for quick lookup
-  const searchBooksMap = new Map();
-  if (Array.isArray(searchBooks)) {
-    searchBooks.forEach(book => {
-      if (book.title) {
-        const normalizedTitle = book.title.toLowerCase().trim();
-        searchBooksMap.set(normalizedTitle, book);
-      }
-    });
-  }
-  
-  // Process works and enhance with search data
-  const worksToProcess = Array.isArray(works) ? works : [];
-  
-  for (const work of worksToProcess) {
-    if (!work.title || processedTitles.has(work.title.toLowerCase())) {
-      continue;
+function getBookSources() {
+  return authorProfile.authors.flatMap(identity => {
+    const search = { id: `search:${getAuthorSearchQuery(identity)}`, kind: BookSourceKind.SEARCH, identity };
+    return identity.id
+      ? [{ id: `works:${identity.id}`, kind: BookSourceKind.WORKS, identity }, search]
+      : [search];
+  });
+}
+
+/**
+ * Fetch a page from each source. Only the primary author's sources are required; a failure for
+ * a pseudonym or co-author is logged and that source is left out.
+ * @param {Object[]} sources - Sources from getBookSources
+ * @param {Function} fetchPage - Called with a source, resolves to its response
+ * @returns {Promise<Array>} { source, identity, data } for each source that loaded
+ */
+async function fetchForSources(sources, fetchPage) {
+  const results = await Promise.allSettled(sources.map(source => fetchPage(source)));
+
+  return results.flatMap((result, index) => {
+    const source = sources[index];
+    const { identity } = source;
+    if (result.status === 'fulfilled') {
+      return [{ source, identity, data: result.value }];
     }
-    
-    processedTitles.add(work.title.toLowerCase());
-    
-    // Find matching search result
-    const searchMatch = searchBooksMap.get(work.title.toLowerCase());
-    
-    // Get detailed work information (with timeout and error handling)
-    let detailedWork = null;
-    if (work.key) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-        
-        const workResponse = await fetch(`${OPEN_LIBRARY_BASE_URL}${work.key}.json`, {
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (workResponse.ok) {
-          detailedWork = await workResponse.json();
-        }
-      } catch (error) {
-        console.warn(`Failed to fetch detailed work for ${work.title}:`, error.message);
-      }
+    if (identity.role === AuthorRole.PRIMARY) {
+      throw result.reason;
     }
-    
-    // Combine all data sources
-    const enhancedBook = {
-      title: work.title,
-      key: work.key,
-      covers: work.covers || [],
-      cover_i: searchMatch?.cover_i || (work.covers && work.covers[0]),
-      first_publish_year: searchMatch?.first_publish_year || work.first_publish_date,
-      first_publish_date: work.first_publish_date || searchMatch?.first_publish_date,
-      
-      // Enhanced data from search results
-      language: searchMatch?.language || [],
-      publisher: searchMatch?.publisher || [],
-      isbn: searchMatch?.isbn || [],
-      subject: searchMatch?.subject || detailedWork?.subjects || [],
-      
-      // Additional metadata
-      edition_count: searchMatch?.edition_count || 1,
-      author_key: searchMatch?.author_key || ['OL23919A'],
-      author_name: searchMatch?.author_name || ['J.K. Rowling'],
-      
-      // Description from detailed work
-      description: detailedWork?.description?.value || detailedWork?.description || work.description,
-      
-      // Work-specific data
-      subtitle: detailedWork?.subtitle || work.subtitle,
-      dewey_decimal_class: detailedWork?.dewey_decimal_class || [],
-      lc_classifications: detailedWork?.lc_classifications || [],
-    };
-    
-    enhancedBooks.push(enhancedBook);
+    console.warn(`Skipping ${source.kind} for ${identity.name}:`, result.reason.message);
+    return [];
+  });
+}
+
+/**
+ * Combine raw records from each identity's page. Records found through a co-author are kept
+ * only when they also credit the author's own name or a pseudonym.
+ * @param {Array} pages - { identity, data } pages from fetchForSources
+ * @param {string} field - Field holding the records ('entries' for works, 'docs' for search)
+ * @returns {Object[]} Raw records
+ */
+function collectAuthorRecords(pages, field) {
+  return pages.flatMap(({ identity, data }) => {
+    const records = toArray(data[field]);
+    return identity.role === AuthorRole.CO_AUTHOR ? records.filter(isOwnRecord) : records;
+  });
+}
+
+/**
+ * Check whether a raw record credits the author under their own name or a pseudonym
+ * @param {Object} raw - Works entry or search doc
+ * @returns {boolean} True if credited
+ */
+function isOwnRecord(raw) {
+  if (matchesAuthor(toArray(raw.author_name).join(', '))) return true;
+
+  return getAuthorKeys(raw).some(key => {
+    const identity = findAuthorIdentity({ key });
+    return identity && identity.role !== AuthorRole.CO_AUTHOR;
+  });
+}
+
+/**
+ * Work out paging state from each source's own page. A source stays in the next cursor while
+ * its offset is short of the total it reports; sources that failed to load are dropped.
+ * @param {Object[]} sources - Sources that were requested
+ * @param {Array} pages - { source, data } pages that loaded
+ * @param {Function} offsetOf - Returns the offset a source was loaded from
+ * @returns {Object} { totalAvailable, nextCursor, hasMore }; totalAvailable is the largest
+ *   source's total, an estimate since the sources overlap
+ */
+function getPageInfo(sources, pages, offsetOf) {
+  const nextCursor = {};
+  const totals = [];
+
+  sources.forEach(source => {
+    const page = pages.find(candidate => candidate.source === source);
+    if (!page) return;
+
+    const isWorks = source.kind === BookSourceKind.WORKS;
+    const received = toArray(page.data[isWorks ? 'entries' : 'docs']).length;
+    const total = isWorks ? page.data.size : page.data.numFound;
+    const nextOffset = offsetOf(source) + received;
+    const hasMore = Number.isFinite(total) ? nextOffset < total : received > 0;
+
+    if (Number.isFinite(total)) totals.push(total);
+    if (received > 0 && hasMore) nextCursor[source.id] = nextOffset;
+  });
+
+  return {
+    totalAvailable: Math.max(0, ...totals),
+    nextCursor,
+    hasMore: Object.keys(nextCursor).length > 0
+  };
+}
+
+/**
+ * Combine books from several pages, keeping one book per work key. Later copies of a work
+ * are folded into the first one in place, so a card already rendered for it stays current.
+ * Books without a work key are kept as they are.
+ * @param {Book[]} books - Books from every loaded page, in page order
+ * @returns {Book[]} Books with one entry per work
+ */
+export function dedupeByWorkKey(books) {
+  const byKey = new Map();
+
+  return books.filter(book => {
+    if (!book.key) return true;
+
+    const first = byKey.get(book.key);
+    if (!first) {
+      byKey.set(book.key, book);
+      return true;
+    }
+    if (first !== book) Object.assign(first, mergeBooks(first, book));
+    return false;
+  });
+}
+
+/**
+ * @deprecated Use fetchDetailedAuthorBooks, which reads the configured author profile
+ */
+export const fetchDetailedJKRowlingBooks = fetchDetailedAuthorBooks;
+
+/**
+ * Fetch the editions of a work, served from the persistent cache when available
+ * @param {string} workKey - Work key, e.g. "/works/OL82563W"
+ * @param {number} limit - Maximum number of editions to load
+ * @returns {Promise<Object>} { editions, total }
+ */
+export async function fetchWorkEditions(workKey, limit = 100) {
+  if (!workKey || !workKey.startsWith('/works/')) {
+    return { editions: [], total: 0 };
   }
-  
-  // Add any search results not found in works
-  if (Array.isArray(searchBooks)) {
-    searchBooks.forEach(searchBook => {
-      if (searchBook.title && !processedTitles.has(searchBook.title.toLowerCase())) {
-        processedTitles.add(searchBook.title.toLowerCase());
-        enhancedBooks.push({
-          ...searchBook,
-          key: searchBook.key || null,
-          covers: searchBook.cover_i ? [searchBook.cover_i] : [],
-          author_key: searchBook.author_key || ['OL23919A'],
-          author_name: searchBook.author_name || ['J.K. Rowling']
-        });
-      }
+
+  const cacheKey = `editions:${endpoints.openLibrary}:${workKey}:${limit}`;
+
+  try {
+    const { value } = await staleWhileRevalidate(cacheKey, async ({ revalidate }) => {
+      const data = await getJson(`${endpoints.openLibrary}${workKey}/editions.json?limit=${limit}`, { revalidate });
+      const editions = (data.entries || []).map(normalizeEdition);
+      return { editions, total: data.size || editions.length };
     });
+    return value;
+  } catch (error) {
+    console.error(`Error fetching editions for ${workKey}:`, error);
+    throw error;
   }
-  
-  return enhancedBooks;
 }
 
 /**
- * Generate book description using Hugging Face AI
- * @param {Object} book - Book object
- * @returns {Promise<string>} Generated description
+ * Fetch a work's ratings and reading-log counts, served from the persistent cache when available
+ * @param {string} workKey - Work key, e.g. "/works/OL82563W"
+ * @returns {Promise<Object>} { rating, readingLog }; either may be null
  */
-export async function generateBookDescription(book) {
+export async function fetchWorkReception(workKey) {
+  if (!workKey || !workKey.startsWith('/works/')) {
+    return { rating: null, readingLog: null };
+  }
+
   try {
-    // First try to get description from Goodreads dataset
-    const goodreadsDescription = await fetchFromGoodreadsDataset(book);
-    if (goodreadsDescription) {
-      return goodreadsDescription;
-    }
+    const { value } = await staleWhileRevalidate(getReceptionCacheKey(workKey), async ({ revalidate }) => {
+      const [ratings, bookshelves] = await Promise.all([
+        getJson(`${endpoints.openLibrary}${workKey}/ratings.json`, { revalidate }),
+        getJson(`${endpoints.openLibrary}${workKey}/bookshelves.json`, { revalidate })
+      ]);
+      return normalizeReception(ratings, bookshelves);
+    });
+    return value;
   } catch (error) {
-    console.log('Goodreads dataset not available, using fallback description');
+    console.error(`Error fetching ratings for ${workKey}:`, error);
+    throw error;
   }
-  
-  // Skip AI generation and use fallback directly to avoid API errors
-  return getFallbackDescription(book);
 }
 
 /**
- * Fetch description from Goodreads dataset
- * @param {Object} book - Book object
- * @returns {Promise<string|null>} Description or null
+ * Build the persistent cache key for a work's reception data
+ * @param {string} workKey - Work key
+ * @returns {string} Cache key
  */
-async function fetchFromGoodreadsDataset(book) {
-  const DATASET_URL = 'https://datasets-server.huggingface.co/rows?dataset=booksouls/goodreads-book-descriptions&config=default&split=train';
-  
+function getReceptionCacheKey(workKey) {
+  return `reception:${endpoints.openLibrary}:${workKey}`;
+}
+
+/**
+ * Combine ratings.json and bookshelves.json responses
+ * @param {Object|null} ratings - Ratings response ({ summary, counts })
+ * @param {Object|null} bookshelves - Bookshelves response ({ counts })
+ * @returns {Object} { rating, readingLog }
+ */
+function normalizeReception(ratings, bookshelves) {
+  return {
+    rating: normalizeRating(ratings?.summary),
+    readingLog: normalizeReadingLog(bookshelves?.counts)
+  };
+}
+
+/**
+ * Reduce a raw edition record to the fields shown in the editions browser
+ * @param {Object} edition - Edition from /works/{key}/editions.json
+ * @returns {Object} Normalized edition
+ */
+function normalizeEdition(edition) {
+  return {
+    key: edition.key,
+    title: edition.title,
+    subtitle: edition.subtitle || '',
+    publishers: edition.publishers || [],
+    publishDate: edition.publish_date || '',
+    languages: (edition.languages || [])
+      .map(language => language.key?.replace('/languages/', ''))
+      .filter(Boolean),
+    format: edition.physical_format || '',
+    pages: edition.number_of_pages || null,
+    isbn13: edition.isbn_13 || [],
+    isbn10: edition.isbn_10 || [],
+    translatedFrom: (edition.translated_from || [])
+      .map(language => language.key?.replace('/languages/', ''))
+      .filter(Boolean),
+    coverId: edition.covers?.find(id => id > 0) || null
+  };
+}
+
+/**
+ * Fetch an Open Library author record, served from the persistent cache when available
+ * @param {string} authorId - Open Library author ID, e.g. "OL23919A"
+ * @returns {Promise<Object>} Normalized author record (see normalizeAuthorRecord)
+ */
+export async function fetchAuthorRecord(authorId = getPrimaryAuthorId()) {
+  const cacheKey = `author:${endpoints.openLibrary}:${authorId}`;
+
   try {
-    const response = await fetch(DATASET_URL, {
-      headers: {
-        'Authorization': `Bearer ${HUGGING_FACE_TOKEN}`,
-        'Content-Type': 'application/json',
+    const { value } = await staleWhileRevalidate(cacheKey, async ({ revalidate }) => {
+      const data = await getJson(`${endpoints.openLibrary}/authors/${authorId}.json`, { revalidate });
+      return normalizeAuthorRecord(data);
+    });
+    return value;
+  } catch (error) {
+    console.error(`Error fetching author record ${authorId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Reduce a raw author record to the fields used by the about page
+ * @param {Object} raw - Record from /authors/{id}.json
+ * @returns {Object} { key, name, personalName, bio, birthDate, deathDate, alternateNames, links, photoIds, wikipedia }
+ */
+function normalizeAuthorRecord(raw) {
+  const links = (raw.links || [])
+    .filter(link => link?.url)
+    .map(link => ({ title: cleanText(link.title) || link.url, url: link.url }));
+
+  return {
+    key: raw.key?.replace('/authors/', '') || null,
+    name: cleanText(raw.name),
+    personalName: cleanText(raw.personal_name),
+    bio: cleanText(typeof raw.bio === 'object' ? raw.bio?.value : raw.bio),
+    birthDate: cleanText(raw.birth_date),
+    deathDate: cleanText(raw.death_date),
+    alternateNames: uniqueValues((raw.alternate_names || []).map(cleanText).filter(Boolean)),
+    links,
+    photoIds: (raw.photos || []).filter(isPositiveInteger),
+    wikipedia: raw.wikipedia || ''
+  };
+}
+
+/**
+ * Normalized book record shared by the books page, modals, carousel and filters.
+ * Produced by normalizeBook from any Open Library shape (works entry, search doc or work record).
+ * @typedef {Object} Book
+ * @property {string} id - Work key, or "title:<lowercase title>" when the work key is unknown
+ * @property {string|null} key - Open Library work key, e.g. "/works/OL82563W"
+ * @property {string} title - Title
+ * @property {string} subtitle - Subtitle, or '' when none
+ * @property {number|null} year - First publication year
+ * @property {number|null} coverId - Primary cover ID
+ * @property {number[]} coverIds - Every known cover ID, primary first
+ * @property {string[]} languages - MARC language codes, e.g. "eng", "fre"
+ * @property {string[]} publishers - Publisher names
+ * @property {string[]} isbns - Valid ISBN-10/ISBN-13 values without separators
+ * @property {Array<{key: string, name: string}>} authors - Author keys (e.g. "OL23919A") and names
+ * @property {string[]} subjects - Subject headings
+ * @property {string|null} series - Series name
+ * @property {number|null} seriesIndex - Position in the series
+ * @property {string} description - Work description, or '' when none
+ * @property {number|null} editionCount - Number of editions, when known
+ * @property {string[]} deweyDecimalClass - Dewey classifications
+ * @property {string[]} lcClassifications - Library of Congress classifications
+ * @property {Object|null} rating - { average, count } from Open Library ratings, or null when unrated
+ * @property {Object|null} readingLog - { wantToRead, currentlyReading, alreadyRead } reading-log counts,
+ *   or null when unknown
+ * @property {Object} provenance - { sources, fetchedAt }: which Open Library records contributed, and when
+ */
+
+const MIN_BOOK_YEAR = 1450;
+
+/**
+ * Normalize a raw Open Library record into a Book, placing it in its series
+ * @param {Object} raw - Works entry, search doc or work record
+ * @param {string} source - Record type, recorded in provenance ('works', 'search', 'work')
+ * @returns {Book} Normalized book
+ */
+export function normalizeBook(raw, source) {
+  const title = cleanText(raw.title);
+  const key = typeof raw.key === 'string' && raw.key.startsWith('/works/') ? raw.key : null;
+  const coverIds = uniqueValues([raw.cover_i, ...toArray(raw.covers)].filter(isPositiveInteger));
+  const series = parseSeries(raw.series);
+
+  return assignSeries({
+    id: key || `title:${title.toLowerCase()}`,
+    key,
+    title,
+    subtitle: cleanText(raw.subtitle),
+    year: parseYear(raw.first_publish_year) ?? parseYear(raw.first_publish_date),
+    coverId: coverIds[0] || null,
+    coverIds,
+    languages: uniqueValues(toArray(raw.language || raw.languages).map(normalizeLanguageCode).filter(Boolean)),
+    publishers: uniqueValues(toArray(raw.publisher || raw.publishers).map(cleanText).filter(Boolean)),
+    isbns: uniqueValues(toArray(raw.isbn).concat(toArray(raw.isbn_13), toArray(raw.isbn_10)).map(normalizeIsbn).filter(Boolean)),
+    authors: normalizeAuthors(raw),
+    subjects: normalizeSubjects(toArray(raw.subject || raw.subjects).map(cleanText)),
+    series: series.name,
+    seriesIndex: series.index,
+    description: cleanText(raw.description?.value ?? raw.description),
+    editionCount: isPositiveInteger(raw.edition_count) ? raw.edition_count : null,
+    deweyDecimalClass: toArray(raw.dewey_decimal_class || raw.ddc),
+    lcClassifications: toArray(raw.lc_classifications || raw.lcc),
+    rating: normalizeRating({ average: raw.ratings_average, count: raw.ratings_count }),
+    readingLog: normalizeReadingLog({
+      want_to_read: raw.want_to_read_count,
+      currently_reading: raw.currently_reading_count,
+      already_read: raw.already_read_count
+    }),
+    provenance: {
+      sources: source ? [source] : [],
+      fetchedAt: Date.now()
+    }
+  });
+}
+
+/**
+ * Combine two normalized records of the same book. Fields from `primary` win unless they are
+ * empty; provenance sources are unioned.
+ * @param {Book} primary - Preferred record
+ * @param {Book} secondary - Record used to fill gaps
+ * @returns {Book} Merged book
+ */
+export function mergeBooks(primary, secondary) {
+  if (!secondary) return primary;
+
+  const merged = { ...secondary };
+  Object.entries(primary).forEach(([field, value]) => {
+    if (!isEmptyValue(value)) {
+      merged[field] = value;
+    }
+  });
+
+  // Keep the series index with the series name it belongs to
+  if (!isEmptyValue(primary.series)) {
+    merged.seriesIndex = primary.seriesIndex;
+  }
+
+  merged.id = merged.key || primary.id;
+  merged.coverIds = uniqueValues([...primary.coverIds, ...secondary.coverIds]);
+  merged.coverId = merged.coverIds[0] || null;
+  merged.provenance = {
+    sources: uniqueValues([...primary.provenance.sources, ...secondary.provenance.sources]),
+    fetchedAt: Math.max(primary.provenance.fetchedAt, secondary.provenance.fetchedAt)
+  };
+
+  return merged;
+}
+
+/**
+ * Check a Book against the model's invariants
+ * @param {Book} book - Book to validate
+ * @returns {Object} { valid, errors } where errors lists each violated rule
+ */
+export function validateBook(book) {
+  const errors = [];
+
+  if (!book || typeof book !== 'object') {
+    return { valid: false, errors: ['book is not an object'] };
+  }
+
+  if (!book.title) errors.push('title is required');
+  if (!book.id) errors.push('id is required');
+  if (book.key !== null && !String(book.key).startsWith('/works/')) errors.push(`invalid work key ${book.key}`);
+  if (book.year !== null && parseYear(book.year) !== book.year) errors.push(`invalid year ${book.year}`);
+  if (book.coverId !== null && !isPositiveInteger(book.coverId)) errors.push(`invalid cover ID ${book.coverId}`);
+  if (book.seriesIndex !== null && !(book.seriesIndex > 0)) errors.push(`invalid series index ${book.seriesIndex}`);
+  if (book.rating && !(book.rating.average > 0 && book.rating.average <= 5)) errors.push(`invalid rating ${book.rating.average}`);
+
+  ['coverIds', 'languages', 'publishers', 'isbns', 'authors', 'subjects'].forEach(field => {
+    if (!Array.isArray(book[field])) errors.push(`${field} must be an array`);
+  });
+
+  (book.isbns || []).forEach(isbn => {
+    if (normalizeIsbn(isbn) !== isbn) errors.push(`invalid ISBN ${isbn}`);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize and validate a list of raw records, dropping any that fail validation
+ * @param {Array} records - Raw Open Library records
+ * @param {string} source - Record type for provenance
+ * @returns {Book[]} Valid books
+ */
+function normalizeBooks(records, source) {
+  return toArray(records)
+    .map(record => normalizeBook(record, source))
+    .filter(book => {
+      const { valid, errors } = validateBook(book);
+      if (!valid) {
+        console.warn(`Skipping invalid ${source} record:`, errors.join(', '));
       }
+      return valid;
     });
+}
+
+/**
+ * Extract a plausible publication year from a number or free-text date
+ * @param {number|string} value - e.g. 1997, "1997", "June 26, 1997"
+ * @returns {number|null} Year, or null when missing or out of range
+ */
+function parseYear(value) {
+  const match = String(value ?? '').match(/\b(\d{4})\b/);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  return year >= MIN_BOOK_YEAR && year <= new Date().getFullYear() + 2 ? year : null;
+}
+
+/**
+ * Strip separators from an ISBN and verify its check digit
+ * @param {string} value - Raw ISBN
+ * @returns {string|null} ISBN-10 or ISBN-13 digits, or null when invalid
+ */
+function normalizeIsbn(value) {
+  const isbn = String(value ?? '').replace(/[^0-9Xx]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, index) =>
+      total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+    return sum % 11 === 0 ? isbn : null;
+  }
+
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, index) =>
+      total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0 ? isbn : null;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a language code or reference to a lowercase MARC code
+ * @param {string|Object} language - "eng" or { key: "/languages/eng" }
+ * @returns {string|null} Language code
+ */
+function normalizeLanguageCode(language) {
+  const code = typeof language === 'string' ? language : language?.key;
+  return code ? code.replace('/languages/', '').trim().toLowerCase() || null : null;
+}
+
+/**
+ * Collect author keys and names from search fields or work author references
+ * @param {Object} raw - Raw record
+ * @returns {Array<{key: string, name: string}>} Authors, defaulting to the configured author
+ */
+function normalizeAuthors(raw) {
+  const names = toArray(raw.author_name);
+
+  const authors = getAuthorKeys(raw)
+    .map((authorKey, index) => ({
+      key: authorKey,
+      name: names[index] || findAuthorIdentity({ key: authorKey })?.name || ''
+    }))
+    .filter(author => author.key);
+
+  return authors.length > 0 ? authors : [{ key: getPrimaryAuthorId(), name: authorProfile.name }];
+}
+
+/**
+ * Read author keys from search fields or work author references
+ * @param {Object} raw - Raw record
+ * @returns {string[]} Author keys without the "/authors/" prefix, e.g. "OL23919A"
+ */
+function getAuthorKeys(raw) {
+  const keys = raw.author_key
+    ? toArray(raw.author_key)
+    : toArray(raw.authors).map(author => author.author?.key || author.key);
+
+  return keys.map(authorKey => String(authorKey || '').replace('/authors/', ''));
+}
+
+/**
+ * Parse an Open Library series statement such as "Harry Potter (3)" or "Cormoran Strike ; 2"
+ * @param {string|Array} value - Series field
+ * @returns {Object} { name, index } with nulls when absent
+ */
+function parseSeries(value) {
+  const statement = cleanText(toArray(value)[0]);
+  if (!statement) return { name: null, index: null };
+
+  const match = statement.match(/^(.*?)[\s,;#(]*(?:book|vol\.?|volume|no\.?)?\s*#?(\d+)\)?$/i);
+  if (match && match[1]) {
+    return { name: match[1].trim(), index: Number(match[2]) || null };
+  }
+
+  return { name: statement, index: null };
+}
+
+/**
+ * Wrap a value in an array, treating null and undefined as empty
+ * @param {*} value - Value or array
+ * @returns {Array} Array
+ */
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Trim a string value, treating anything else as empty
+ * @param {*} value - Value
+ * @returns {string} Trimmed string
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Remove duplicates, keeping first occurrences
+ * @param {Array} values - Values
+ * @returns {Array} Unique values
+ */
+function uniqueValues(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for positive integers
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, '' and empty arrays
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Normalize an Open Library ratings summary
+ * @param {Object} summary - { average, count } from ratings.json or a search doc
+ * @returns {Object|null} { average, count }, or null when there are no ratings
+ */
+function normalizeRating(summary) {
+  const average = Number(summary?.average);
+  const count = summary?.count;
+  if (!isPositiveInteger(count) || !(average > 0 && average <= 5)) return null;
+
+  return { average: Math.round(average * 100) / 100, count };
+}
+
+/**
+ * Normalize Open Library reading-log counts
+ * @param {Object} counts - { want_to_read, currently_reading, already_read } from bookshelves.json or a search doc
+ * @returns {Object|null} { wantToRead, currentlyReading, alreadyRead }, or null when no counts are known
+ */
+function normalizeReadingLog(counts) {
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  const { want_to_read: wantToRead, currently_reading: currentlyReading, already_read: alreadyRead } = counts || {};
+  if (![wantToRead, currentlyReading, alreadyRead].some(isCount)) return null;
 
-    if (!response.ok) {
-      throw new Error(`Dataset API error: ${response.status}`);
+  return {
+    wantToRead: isCount(wantToRead) ? wantToRead : 0,
+    currentlyReading: isCount(currentlyReading) ? currentlyReading : 0,
+    alreadyRead: isCount(alreadyRead) ? alreadyRead : 0
+  };
+}
+
+/**
+ * Build base book records by combining works and search results. Works are paired with
+ * search results by the matching engine; each run publishes a report for the debug panel.
+ * @param {Array} works - Works from author endpoint
+ * @param {Array} searchBooks - Books from search endpoint
+ * @param {string} label - Describes the page being merged, shown in match reports
+ * @returns {Book[]} Base books
+ */
+function buildBaseBooks(works, searchBooks, label = '') {
+  const { titleEquivalents } = authorProfile;
+  const books = [];
+  const processedTitles = new Set();
+  
+  // Open Library lists some works twice; keep the first of each title
+  const uniqueWorks = normalizeBooks(works, 'works').filter(work => {
+    const normalizedTitle = normalizeTitle(work.title, titleEquivalents);
+    if (processedTitles.has(normalizedTitle)) {
+      return false;
+    }
+    processedTitles.add(normalizedTitle);
+    return true;
+  });
+  
+  const result = matchWorks(uniqueWorks, normalizeBooks(searchBooks, 'search'), { titleEquivalents });
+  publishMatchReport(createMatchReport(label, result));
+  
+  // Combine matched pairs; search results win for edition-level fields
+  const matchedWorks = new Map(result.matches.map(match => [match.work, match.candidate]));
+  uniqueWorks.forEach(work => {
+    const searchMatch = matchedWorks.get(work);
+    books.push(searchMatch ? mergeBooks(searchMatch, work) : work);
+  });
+  
+  // Add any search results not found in works, skipping extra copies of titles we already have
+  result.unmatchedCandidates.forEach(searchBook => {
+    const normalizedTitle = normalizeTitle(searchBook.title, titleEquivalents);
+    if (!processedTitles.has(normalizedTitle)) {
+      processedTitles.add(normalizedTitle);
+      books.push(searchBook);
     }
+  });
+  
+  return books;
+}
 
-    const data = await response.json();
-    
-    if (data.rows) {
-      const matchingBook = data.rows.find(row => {
-        const dataTitle = row.row.title?.toLowerCase() || '';
-        const dataAuthor = row.row.authors?.toLowerCase() || '';
-        const bookTitle = book.title.toLowerCase();
-        
-        return (dataTitle.includes(bookTitle.substring(0, 10)) || bookTitle.includes(dataTitle.substring(0, 10))) &&
-               dataAuthor.includes('rowling');
+/**
+ * Patch books in place with detailed work data, fetched through a bounded-concurrency queue.
+ * Cards show the rating and reading-log counts that come with search results; the per-work
+ * ratings and bookshelves endpoints are only called when a book's modal opens
+ * (fetchWorkReception), so enrichment costs one request per work.
+ * @param {Book[]} books - Base books
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum requests in flight
+ * @param {number} options.taskTimeout - Per-request timeout in milliseconds
+ * @param {number} options.deadline - Overall deadline in milliseconds
+ * @param {Function} options.onProgress - Called with each book once it has been patched
+ * @param {boolean} options.revalidate - Bypass HTTP caches (background refreshes)
+ * @returns {Promise<Array>} The same books array, enriched where details arrived in time
+ */
+async function enrichBooks(books, options = {}) {
+  const { onProgress, revalidate = false, ...queueOptions } = options;
+  const worksToFetch = books.filter(book => book.key && book.key.startsWith('/works/'));
+
+  await runWithConcurrency(
+    worksToFetch,
+    async (book, { signal }) => {
+      const result = await request(`${endpoints.openLibrary}${book.key}.json`, {
+        timeout: queueOptions.taskTimeout,
+        retry: { retries: 1 },
+        revalidate,
+        signal
       });
       
-      if (matchingBook && matchingBook.row.description) {
-        let description = matchingBook.row.description.trim();
+      if (!result.ok) {
+        console.warn(`Failed to fetch detailed work for ${book.title}:`, result.error.message);
+        return null;
+      }
+      
+      return result.data;
+    },
+    {
+      ...queueOptions,
+      onResult: (work, book) => {
+        if (!work) return;
         
-        const sentences = description.split(/[.!?]+/).filter(s => s.trim().length > 10);
-        if (sentences.length > 2) {
-          description = sentences.slice(0, 2).join('. ') + '.';
-        }
+        // Patch in place so rendered cards keep pointing at the same object
+        Object.assign(book, mergeBooks(book, normalizeBook(work, 'work')));
         
-        return description.length > 50 ? description : null;
+        if (onProgress) onProgress(book);
       }
     }
-    
-    return null;
-  } catch (error) {
-    console.error('Error fetching from Goodreads dataset:', error);
-    return null;
+  );
+  
+  return books;
+}
+
+registerDescriptionProvider({
+  id: DescriptionSource.CURATED,
+  label: "editor's note",
+  priority: 100,
+  timeout: 100,
+  fetch: async (book) => authorProfile.descriptionOverrides[book.key] || null
+});
+
+registerDescriptionProvider({
+  id: DescriptionSource.OPEN_LIBRARY,
+  label: 'from Open Library',
+  priority: 80,
+  timeout: 5000,
+  fetch: fetchOpenLibraryDescription
+});
+
+registerDescriptionProvider({
+  id: DescriptionSource.DATASET,
+  label: 'from Goodreads',
+  priority: 60,
+  timeout: 8000,
+  fetch: lookupDatasetDescription
+});
+
+registerDescriptionProvider({
+  id: DescriptionSource.LLM,
+  label: 'AI-generated',
+  priority: 40,
+  timeout: 30000,
+  isEnabled: () => !unavailableEndpoints.has(getLlmEndpoint()),
+  fetch: generateAIDescription
+});
+
+registerDescriptionProvider({
+  id: DescriptionSource.TEMPLATE,
+  label: '',
+  priority: 0,
+  timeout: 100,
+  isAcceptable: (text) => Boolean(text),
+  fetch: async (book) => getFallbackDescription(book)
+});
+
+/**
+ * Get a description for a book from the highest-priority provider that has a good one
+ * @param {Book} book - Book to describe
+ * @returns {Promise<Object>} { text, source, label } where source is a DescriptionSource
+ */
+export async function generateBookDescription(book) {
+  return resolveDescription(book);
+}
+
+/**
+ * Use the work's own Open Library description, fetching the work record if enrichment
+ * has not filled it in yet
+ * @param {Book} book - Book to describe
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Aborts the work request
+ * @returns {Promise<string|null>} Description or null
+ */
+async function fetchOpenLibraryDescription(book, { signal } = {}) {
+  if (book.description) {
+    return cleanOpenLibraryDescription(book.description);
   }
+
+  if (!book.key) return null;
+
+  const work = await getJson(`${endpoints.openLibrary}${book.key}.json`, {
+    signal,
+    retry: { retries: 0 }
+  });
+  return cleanOpenLibraryDescription(normalizeBook(work, 'work').description);
 }
 
 /**
- * Generate AI description using Hugging Face models
- * @param {Object} book - Book object
- * @returns {Promise<string>} Generated description
+ * Strip Open Library's markdown links and trailing "contains" sections from a description
+ * @param {string} text - Raw description
+ * @returns {string} Plain description
  */
-async function generateAIDescription(book) {
-  const API_URL = `${HUGGING_FACE_BASE_URL}/models/facebook/blenderbot-400M-distill`;
-  const prompt = createBookSpecificPrompt(book);
-  
-  try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${HUGGING_FACE_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          max_length: 150,
-          temperature: 0.7,
-          do_sample: true,
-          top_p: 0.9,
-          repetition_penalty: 1.2
-        }
-      })
-    });
+function cleanOpenLibraryDescription(text) {
+  return String(text || '')
+    .split(/\n-{3,}/)[0]
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
 
-    if (!response.ok) {
-      if (response.status === 503) {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        return generateBookDescriptionFallback(book);
-      }
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Minimum title similarity for a fuzzy description index match
+const DATASET_FUZZY_THRESHOLD = 0.85;
 
-    const data = await response.json();
-    
-    if (data && data[0] && data[0].generated_text) {
-      const description = cleanGeneratedDescription(data[0].generated_text.trim(), book);
-      return description || getFallbackDescription(book);
-    } else {
-      return getFallbackDescription(book);
+// Loaded once per session; resolves to null when no index has been built
+let descriptionIndexPromise = null;
+
+/**
+ * Load the local description index built by `npm run build-description-index`
+ * @returns {Promise<Object|null>} Lookup tables { byTitle, byBaseTitle, byFirstWord }, or null
+ */
+function loadDescriptionIndex() {
+  if (!descriptionIndexPromise) {
+    descriptionIndexPromise = getJson(endpoints.descriptionIndex, { cache: false, retry: { retries: 1 } })
+      .then(buildDescriptionLookup)
+      .catch(error => {
+        console.warn('Description index unavailable:', error.message);
+        return null;
+      });
+  }
+  return descriptionIndexPromise;
+}
+
+/**
+ * Build lookup tables over the index rows
+ * @param {Object} index - Index file { fields, rows }
+ * @returns {Object} { byTitle, byBaseTitle, byFirstWord } mapping keys to rows { title, baseKey, description }
+ */
+function buildDescriptionLookup(index) {
+  const { titleEquivalents } = authorProfile;
+  const lookup = { byTitle: new Map(), byBaseTitle: new Map(), byFirstWord: new Map() };
+
+  (index.rows || []).forEach(([key, title, , description]) => {
+    const entry = { title, baseKey: normalizeBaseTitle(title, titleEquivalents), description };
+    const firstWord = entry.baseKey.split(' ')[0];
+
+    if (!lookup.byTitle.has(key)) lookup.byTitle.set(key, entry);
+    if (!lookup.byBaseTitle.has(entry.baseKey)) lookup.byBaseTitle.set(entry.baseKey, entry);
+    if (!lookup.byFirstWord.has(firstWord)) lookup.byFirstWord.set(firstWord, []);
+    lookup.byFirstWord.get(firstWord).push(entry);
+  });
+
+  return lookup;
+}
+
+/**
+ * Find a book in the description index by exact, base (no subtitle) and then fuzzy title
+ * @param {Object} lookup - Lookup tables from buildDescriptionLookup
+ * @param {string} title - Book title
+ * @returns {Object|null} Matching entry
+ */
+function findIndexedDescription(lookup, title) {
+  const { titleEquivalents } = authorProfile;
+  const exact = lookup.byTitle.get(normalizeTitle(title, titleEquivalents));
+  if (exact) return exact;
+
+  const baseKey = normalizeBaseTitle(title, titleEquivalents);
+  const base = lookup.byBaseTitle.get(baseKey);
+  if (base) return base;
+
+  // Fuzzy match only among titles sharing the first word to keep lookups cheap
+  let best = null;
+  let bestScore = DATASET_FUZZY_THRESHOLD;
+  (lookup.byFirstWord.get(baseKey.split(' ')[0]) || []).forEach(entry => {
+    const score = titleSimilarity(baseKey, entry.baseKey);
+    if (score >= bestScore) {
+      best = entry;
+      bestScore = score;
     }
-    
-  } catch (error) {
-    console.error('Hugging Face API error:', error);
-    return generateBookDescriptionFallback(book);
+  });
+  return best;
+}
+
+/**
+ * Search the Goodreads dataset through the /api/dataset proxy for titles missing from the index
+ * @param {string} title - Book title
+ * @param {AbortSignal} signal - Aborts the search
+ * @returns {Promise<Object|null>} Matching entry
+ */
+async function searchDatasetProxy(title, signal) {
+  const url = `${endpoints.api}/dataset`;
+  if (unavailableEndpoints.has(url)) return null;
+
+  const result = await request(`${url}?title=${encodeURIComponent(title)}`, {
+    signal,
+    retry: { retries: 0 }
+  });
+
+  if (!result.ok) {
+    markUnavailableEndpoint(url, result);
+    throw new Error(result.error.message);
+  }
+
+  const rows = (result.data?.rows || [])
+    .filter(row => row.title && row.description && matchesAuthor(row.author))
+    .map(row => [normalizeTitle(row.title, authorProfile.titleEquivalents), row.title, row.author, row.description]);
+
+  return findIndexedDescription(buildDescriptionLookup({ rows }), title);
+}
+
+/**
+ * Remember a proxy endpoint that is missing or not configured so it is not retried
+ * @param {string} url - Endpoint URL
+ * @param {Object} result - Failed HttpResult
+ */
+function markUnavailableEndpoint(url, result) {
+  // Static hosts answer 404/405 (or an HTML fallback page); server.js answers 501 without a token
+  if ([404, 405, 501].includes(result.status) || result.error?.kind === ErrorKind.PARSE) {
+    console.warn(`${url} is not available (${result.error.message}); skipping it for this session`);
+    unavailableEndpoints.add(url);
   }
 }
 
 /**
- * Fallback description generation using GPT-2
+ * Look up a description in the local Goodreads dataset index, falling back to the dataset proxy
  * @param {Object} book - Book object
- * @returns {Promise<string>} Generated description
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Aborts the proxy search
+ * @returns {Promise<string|null>} Description or null
  */
-async function generateBookDescriptionFallback(book) {
-  const API_URL = `${HUGGING_FACE_BASE_URL}/models/gpt2`;
-  const prompt = `${book.title} by J.K. Rowling is a captivating book that`;
-  
-  try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${HUGGING_FACE_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          max_length: 100,
-          temperature: 0.8,
-          do_sample: true,
-          top_p: 0.9
-        }
-      })
-    });
+async function lookupDatasetDescription(book, { signal } = {}) {
+  const lookup = await loadDescriptionIndex();
+  const entry = (lookup && findIndexedDescription(lookup, book.title)) ||
+    await searchDatasetProxy(book.title, signal);
+  if (!entry) return null;
 
-    if (response.ok) {
-      const data = await response.json();
-      if (data && data[0] && data[0].generated_text) {
-        return cleanGeneratedDescription(data[0].generated_text.trim(), book);
-      }
-    }
-  } catch (error) {
-    console.error('Fallback API error:', error);
+  let description = entry.description.trim();
+
+  const sentences = description.split(/[.!?]+/).filter(s => s.trim().length > 10);
+  if (sentences.length > 2) {
+    description = sentences.slice(0, 2).join('. ') + '.';
   }
-  
-  return getFallbackDescription(book);
+
+  return description.length > 50 ? description : null;
+}
+
+/**
+ * Override LLM generation settings at runtime
+ * @param {Object} overrides - Fields of llmSettings to change (style, model, maxTokens, temperature)
+ */
+export function configureLlm(overrides = {}) {
+  Object.assign(llmSettings, overrides);
+}
+
+/**
+ * Generate a description with the configured LLM endpoint, cached per work.
+ * The /api/describe proxy is sent the book's fields and builds the prompt itself; other
+ * endpoints get the prompt. Endpoints that need a key belong behind the proxy, since
+ * nothing secret can be sent from the browser.
+ * @param {Object} book - Book object
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Aborts the completion request
+ * @returns {Promise<string|null>} Generated description or null
+ */
+async function generateAIDescription(book, { signal } = {}) {
+  const cacheKey = `llm-description:${book.key || book.id}`;
+  const cached = await getCacheEntry(cacheKey);
+  if (cached?.value) {
+    return cached.value;
+  }
+
+  const endpoint = getLlmEndpoint();
+  const useProxy = !endpoints.llm;
+  const style = getLlmApiStyle(endpoint);
+
+  const result = await request(endpoint, {
+    method: 'POST',
+    body: useProxy ? { book: getDescribeFields(book) } : createCompletionRequest(book, style),
+    cache: false,
+    retry: { retries: 0 },
+    timeout: 30000,
+    signal
+  });
+
+  if (!result.ok) {
+    markUnavailableEndpoint(endpoint, result);
+    throw new Error(result.error.message);
+  }
+
+  const generatedText = useProxy ? result.data?.description : extractCompletionText(result.data, style);
+  const description = generatedText ? cleanGeneratedDescription(generatedText.trim()) : '';
+  if (!description) {
+    return null;
+  }
+
+  await setCacheEntry(cacheKey, description);
+  return description;
+}
+
+/**
+ * Build a completion request in an endpoint's format
+ * @param {Object} book - Book object
+ * @param {string} style - 'openai-chat', 'openai-completions' or 'llamacpp'
+ * @returns {Object} Request body
+ */
+function createCompletionRequest(book, style) {
+  const prompt = createBookSpecificPrompt(book);
+
+  return {
+    'openai-chat': {
+      model: llmSettings.model,
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
+      ],
+      max_tokens: llmSettings.maxTokens,
+      temperature: llmSettings.temperature
+    },
+    'openai-completions': {
+      model: llmSettings.model,
+      prompt: `${prompt.system}\n\n${prompt.user}\n\nDescription:`,
+      max_tokens: llmSettings.maxTokens,
+      temperature: llmSettings.temperature
+    },
+    llamacpp: {
+      prompt: `${prompt.system}\n\n${prompt.user}\n\nDescription:`,
+      n_predict: llmSettings.maxTokens,
+      temperature: llmSettings.temperature,
+      stop: ['\n\n']
+    }
+  }[style];
+}
+
+/**
+ * Pick the book fields the /api/describe proxy accepts
+ * @param {Object} book - Book object
+ * @returns {Object} { key, title, author, year, series, subjects }
+ */
+function getDescribeFields(book) {
+  return {
+    key: book.key,
+    title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+    author: formatByline(book.authors),
+    year: book.year,
+    series: book.series ? `${book.series}${book.seriesIndex ? `, book ${book.seriesIndex}` : ''}` : '',
+    subjects: book.subjects.slice(0, 8)
+  };
+}
+
+/**
+ * Get the completion endpoint: the configured LLM, or the server's Hugging Face proxy
+ * @returns {string} Endpoint URL
+ */
+function getLlmEndpoint() {
+  return endpoints.llm || `${endpoints.api}/describe`;
+}
+
+/**
+ * Work out which request format an endpoint expects
+ * @param {string} url - Endpoint URL
+ * @returns {string} 'openai-chat', 'openai-completions' or 'llamacpp'
+ */
+function getLlmApiStyle(url) {
+  if (llmSettings.style !== 'auto') return llmSettings.style;
+  if (/\/chat\/completions\/?$/.test(url)) return 'openai-chat';
+  if (/\/v1\/completions\/?$/.test(url)) return 'openai-completions';
+  return 'llamacpp';
+}
+
+/**
+ * Pull the generated text out of a completion response
+ * @param {Object} data - Response body
+ * @param {string} style - API style used for the request
+ * @returns {string} Generated text, or '' when missing
+ */
+function extractCompletionText(data, style) {
+  if (style === 'openai-chat') return data?.choices?.[0]?.message?.content || '';
+  if (style === 'openai-completions') return data?.choices?.[0]?.text || '';
+  return data?.content || '';
 }
 
 /**
- * Create book-specific prompt for AI
+ * Create a structured prompt from what we know about the book
  * @param {Object} book - Book object
- * @returns {string} Prompt text
+ * @returns {Object} { system, user } prompt parts
  */
 function createBookSpecificPrompt(book) {
-  return `Write a professional book description for "${book.title}" by J.K. Rowling in the style of Goodreads or bookstore descriptions. Make it engaging, informative, and 4-6 sentences long:`;
+  const facts = [
+    `Title: ${book.title}`,
+    book.subtitle && `Subtitle: ${book.subtitle}`,
+    `Author: ${formatByline(book.authors)}`,
+    book.year && `First published: ${book.year}`,
+    book.series && `Series: ${book.series}${book.seriesIndex ? `, book ${book.seriesIndex}` : ''}`,
+    book.subjects.length > 0 && `Subjects: ${book.subjects.slice(0, 8).join(', ')}`
+  ].filter(Boolean);
+
+  return {
+    system: 'You write short, accurate book descriptions for a bookstore catalogue. ' +
+      'Write two or three engaging sentences in the present tense. Do not reveal the ending, ' +
+      'do not invent characters or events you are unsure of, and reply with the description only.',
+    user: `Describe this book.\n${facts.join('\n')}`
+  };
 }
 
 /**
  * Clean generated description text
  * @param {string} text - Raw generated text
- * @param {Object} book - Book object
- * @returns {string} Cleaned description
+ * @returns {string} Cleaned description, or '' when nothing usable is left
  */
-function cleanGeneratedDescription(text, book) {
+function cleanGeneratedDescription(text) {
   if (!text) return '';
   
   text = text.replace(/^(Book summary:|Book description:|Description:)/i, '').trim();
@@ -447,7 +1380,7 @@ function cleanGeneratedDescription(text, book) {
     return description;
   }
   
-  return getFallbackDescription(book);
+  return '';
 }
 
 /**
@@ -457,52 +1390,28 @@ function cleanGeneratedDescription(text, book) {
  */
 function getFallbackDescription(book) {
   const title = book.title.toLowerCase();
-  const subjects = book.subject || [];
-  const subjectStr = subjects.join(' ').toLowerCase();
+  const genres = getBookGenres(book, { includeParents: true });
   
-  // Specific fallbacks for known series/types
-  if (title.includes('harry potter')) {
-    if (title.includes('philosopher') || title.includes('sorcerer')) {
-      return 'The magical journey begins as young Harry Potter discovers his true identity and enters the enchanting world of Hogwarts School of Witchcraft and Wizardry.';
-    } else if (title.includes('chamber')) {
-      return 'Harry returns to Hogwarts for his second year, where ancient secrets and a mysterious monster threaten the school.';
-    } else if (title.includes('prisoner')) {
-      return 'Harry\'s third year brings new revelations about his past and the escape of a dangerous prisoner from Azkaban.';
-    } else if (title.includes('goblet')) {
-      return 'Harry faces his most dangerous challenges yet as he competes in the legendary Triwizard Tournament.';
-    } else if (title.includes('phoenix')) {
-      return 'As Voldemort returns to power, Harry must unite his friends and form a secret organization to fight against the darkness.';
-    } else if (title.includes('prince')) {
-      return 'Harry delves into Voldemort\'s dark past while preparing for the ultimate confrontation between good and evil.';
-    } else if (title.includes('hallows')) {
-      return 'The epic conclusion to Harry\'s journey as he faces his destiny and the final battle against Voldemort.';
-    } else {
-      return 'Join Harry Potter on an unforgettable magical adventure filled with friendship, courage, and the triumph of good over evil.';
-    }
-  }
-  
-  if (title.includes('strike') || title.includes('cuckoo') || title.includes('silkworm') || 
-      title.includes('evil') || title.includes('white') || title.includes('blood') || 
-      title.includes('heart') || title.includes('grave')) {
-    return 'Follow private detective Cormoran Strike as he unravels complex mysteries in this gripping crime series that showcases Rowling\'s masterful storytelling beyond the wizarding world.';
-  }
+  const { titleDescriptions, genreDescriptions, genericDescription } = authorProfile.copy;
   
-  if (title.includes('casual vacancy')) {
-    return 'A darkly comic and deeply moving novel that explores the hidden tensions and conflicts within a seemingly idyllic English town.';
-  }
-  
-  if (title.includes('fantastic beasts')) {
-    return 'Explore the magical world of fantastic creatures in this enchanting companion to the Harry Potter universe.';
+  // Specific fallbacks for known series/types
+  const titleMatch = titleDescriptions.find(rule =>
+    (!rule.series || book.series === rule.series) &&
+    (rule.all || []).every(keyword => title.includes(keyword)) &&
+    (!rule.any || rule.any.some(keyword => title.includes(keyword)))
+  );
+  if (titleMatch) {
+    return formatAuthorCopy(titleMatch.description);
   }
   
   // Genre-based fallbacks
-  if (subjectStr.includes('fantasy') || subjectStr.includes('magic')) {
-    return 'A spellbinding fantasy tale that transports readers to a world of magic, adventure, and unforgettable characters created by the masterful J.K. Rowling.';
-  } else if (subjectStr.includes('mystery') || subjectStr.includes('crime')) {
-    return 'A compelling mystery that weaves together intricate plotlines and complex characters in J.K. Rowling\'s signature storytelling style.';
-  } else if (subjectStr.includes('young adult') || subjectStr.includes('children')) {
-    return 'An engaging tale that captures the imagination of readers young and old with its rich storytelling and memorable characters.';
+  if (genres.includes('Fantasy')) {
+    return formatAuthorCopy(genreDescriptions.fantasy);
+  } else if (genres.includes('Mystery & Crime')) {
+    return formatAuthorCopy(genreDescriptions.mystery);
+  } else if (genres.includes("Children's & Young Adult")) {
+    return formatAuthorCopy(genreDescriptions.children);
   }
   
-  return 'A captivating work by J.K. Rowling that demonstrates her exceptional ability to craft compelling stories with depth, emotion, and unforgettable characters.';
+  return formatAuthorCopy(genericDescription);
 }
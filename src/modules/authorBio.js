@@ -0,0 +1,136 @@
+/**
+ * Author biography loader.
+ * Merges the Open Library author record (bio, dates, links, photos, alternate names) with
+ * the curated content files named by authorProfile.contentUrl, so biography edits happen
+ * in JSON and Markdown rather than in code.
+ */
+
+import { fetchAuthorRecord, getAuthorPhotoUrl } from './apiService.js';
+import { authorProfile, getPrimaryAuthorId } from './authorProfile.js';
+import { getJson, request } from './httpClient.js';
+import { parseMarkdownSections, renderMarkdown } from './markdown.js';
+import { escapeHtml } from './utils.js';
+
+// Marker line in a Markdown section that is replaced with the facts list
+const FACTS_PLACEHOLDER = /<p>\{\{facts\}\}<\/p>/g;
+
+// Loaded once per page
+let authorBioPromise = null;
+
+/**
+ * Load the merged author biography. Never rejects: when a source is unavailable the
+ * biography is built from whatever remains.
+ * @returns {Promise<Object>} Biography { name, tagline, portrait, photoUrl, biographyHtml,
+ *   biographySource, facts, links, alternateNames, quote, sections }
+ */
+export function loadAuthorBio() {
+  if (!authorBioPromise) {
+    authorBioPromise = Promise.all([
+      fetchAuthorRecord(getPrimaryAuthorId()).catch(error => {
+        console.warn('Open Library author record unavailable:', error.message);
+        return null;
+      }),
+      loadCuratedContent().catch(error => {
+        console.warn('Curated author content unavailable:', error.message);
+        return null;
+      })
+    ]).then(([record, curated]) => mergeAuthorBio(record, curated));
+  }
+  return authorBioPromise;
+}
+
+/**
+ * Load the curated JSON file and the Markdown sections it points to
+ * @returns {Promise<Object>} Curated content with parsed `sections`
+ */
+async function loadCuratedContent() {
+  const content = await getJson(authorProfile.contentUrl, { retry: { retries: 1 } });
+
+  let sections = {};
+  if (content.sections) {
+    const sectionsUrl = new URL(content.sections, new URL(authorProfile.contentUrl, window.location.href)).href;
+    const result = await request(sectionsUrl, { responseType: 'text', retry: { retries: 1 } });
+    if (result.ok) {
+      sections = parseMarkdownSections(result.data);
+    } else {
+      console.warn('Curated author sections unavailable:', result.error.message);
+    }
+  }
+
+  return { ...content, sections };
+}
+
+/**
+ * Combine the Open Library record with curated content; curated values win
+ * @param {Object|null} record - Normalized author record
+ * @param {Object|null} curated - Curated content
+ * @returns {Object} Biography
+ */
+function mergeAuthorBio(record, curated) {
+  const content = curated || {};
+  const sections = content.sections || {};
+
+  // Facts from Open Library, replaced by curated facts with the same label
+  const facts = [];
+  if (record?.birthDate) facts.push({ label: 'Born', value: record.birthDate });
+  if (record?.deathDate) facts.push({ label: 'Died', value: record.deathDate });
+  (content.facts || []).forEach(fact => {
+    const existing = facts.find(item => item.label.toLowerCase() === fact.label.toLowerCase());
+    if (existing) {
+      existing.value = fact.value;
+    } else {
+      facts.push({ label: fact.label, value: fact.value });
+    }
+  });
+
+  const links = [...(content.links || []), ...(record?.links || [])]
+    .filter((link, index, all) => all.findIndex(other => other.url === link.url) === index);
+
+  let biographyHtml = '';
+  let biographySource = '';
+  if (sections.biography?.markdown) {
+    biographyHtml = renderMarkdown(sections.biography.markdown);
+    biographySource = 'curated';
+  } else if (record?.bio) {
+    biographyHtml = renderMarkdown(record.bio);
+    biographySource = 'openlibrary';
+  }
+
+  const factsHtml = renderFactsList(facts);
+  const renderedSections = {};
+  Object.values(sections).forEach(section => {
+    renderedSections[section.id] = {
+      id: section.id,
+      title: section.title,
+      html: renderMarkdown(section.markdown, { headingOffset: 1 }).replace(FACTS_PLACEHOLDER, factsHtml)
+    };
+  });
+
+  return {
+    name: content.name || authorProfile.name,
+    tagline: content.tagline || '',
+    portrait: content.portrait || null,
+    photoUrl: record?.photoIds.length ? getAuthorPhotoUrl(record.photoIds[0], 'L') : '',
+    biographyHtml,
+    biographySource,
+    facts,
+    links,
+    alternateNames: record?.alternateNames || [],
+    quote: content.quote || null,
+    sections: renderedSections
+  };
+}
+
+/**
+ * Render facts as a list
+ * @param {Array} facts - { label, value } pairs
+ * @returns {string} HTML, or '' when there are no facts
+ */
+export function renderFactsList(facts) {
+  if (!facts.length) return '';
+
+  const items = facts
+    .map(fact => `<li>${escapeHtml(fact.label)}: ${escapeHtml(fact.value)}</li>`)
+    .join('');
+  return `<ul class="author-facts">${items}</ul>`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Author profile configuration
+ *
+ * Everything that identifies the featured author lives here so the portfolio
+ * can be pointed at a different author without touching the other modules.
+ */
+
+/**
+ * Roles an author identity can have
+ */
+export const AuthorRole = Object.freeze({
+  PRIMARY: 'primary',
+  PSEUDONYM: 'pseudonym',
+  CO_AUTHOR: 'co-author'
+});
+
+/**
+ * Active author profile
+ */
+export const authorProfile = {
+  // Display name used across the site
+  name: 'J.K. Rowling',
+
+  // Names the author publishes under, primary first. Works and search results are loaded for
+  // each and merged. `id` is the Open Library author ID (without one, only search is used),
+  // `searchName` the name for Open Library author searches and `aliases` other spellings
+  // used to recognise the name in third-party data. Works found through a co-author are
+  // kept only when they also credit the primary author or a pseudonym.
+  authors: [
+    {
+      role: AuthorRole.PRIMARY,
+      name: 'J.K. Rowling',
+      id: 'OL23919A',
+      searchName: 'J.K. Rowling',
+      aliases: ['J. K. Rowling', 'Joanne Rowling', 'Joanne K. Rowling', 'Rowling']
+    },
+    {
+      role: AuthorRole.PSEUDONYM,
+      name: 'Robert Galbraith',
+      searchName: 'Robert Galbraith',
+      aliases: []
+    }
+  ],
+
+  // Title fragments that name the same work in different markets, as [variant, canonical]
+  titleEquivalents: [
+    ["Sorcerer's Stone", "Philosopher's Stone"]
+  ],
+
+  // Site copy; {author} is replaced with the display name
+  copy: {
+    booksCount: 'Showing {count} individual books by {author}',
+    cardFallback: 'A captivating work by {author}.',
+    modalFallback: 'A captivating work by {author} that has enchanted readers worldwide.',
+    genericDescription: 'A captivating work by {author} that demonstrates her exceptional ability to craft compelling stories with depth, emotion, and unforgettable characters.',
+    genreDescriptions: {
+      fantasy: 'A spellbinding fantasy tale that transports readers to a world of magic, adventure, and unforgettable characters created by the masterful {author}.',
+      mystery: 'A compelling mystery that weaves together intricate plotlines and complex characters in {author}\'s signature storytelling style.',
+      children: 'An engaging tale that captures the imagination of readers young and old with its rich storytelling and memorable characters.'
+    },
+
+    // Title-specific descriptions, checked in order. A rule matches when the book is in
+    // `series` (if given) and the lowercased title contains every `all` keyword and at
+    // least one `any` keyword.
+    titleDescriptions: [
+      { all: ['harry potter'], any: ['philosopher', 'sorcerer'], description: 'The magical journey begins as young Harry Potter discovers his true identity and enters the enchanting world of Hogwarts School of Witchcraft and Wizardry.' },
+      { all: ['harry potter', 'chamber'], description: 'Harry returns to Hogwarts for his second year, where ancient secrets and a mysterious monster threaten the school.' },
+      { all: ['harry potter', 'prisoner'], description: 'Harry\'s third year brings new revelations about his past and the escape of a dangerous prisoner from Azkaban.' },
+      { all: ['harry potter', 'goblet'], description: 'Harry faces his most dangerous challenges yet as he competes in the legendary Triwizard Tournament.' },
+      { all: ['harry potter', 'phoenix'], description: 'As Voldemort returns to power, Harry must unite his friends and form a secret organization to fight against the darkness.' },
+      { all: ['harry potter', 'prince'], description: 'Harry delves into Voldemort\'s dark past while preparing for the ultimate confrontation between good and evil.' },
+      { all: ['harry potter', 'hallows'], description: 'The epic conclusion to Harry\'s journey as he faces his destiny and the final battle against Voldemort.' },
+      { all: ['harry potter'], description: 'Join Harry Potter on an unforgettable magical adventure filled with friendship, courage, and the triumph of good over evil.' },
+      { series: 'Cormoran Strike', description: 'Follow private detective Cormoran Strike as he unravels complex mysteries in this gripping crime series that showcases Rowling\'s masterful storytelling beyond the wizarding world.' },
+      { all: ['casual vacancy'], description: 'A darkly comic and deeply moving novel that explores the hidden tensions and conflicts within a seemingly idyllic English town.' },
+      { all: ['fantastic beasts'], description: 'Explore the magical world of fantastic creatures in this enchanting companion to the Harry Potter universe.' }
+    ]
+  },
+
+  // Series in reading order. Books are matched by Open Library work key when given, otherwise
+  // by title (the book's title must equal the listed title or extend it with a subtitle).
+  // Aliases are other names Open Library uses for the series.
+  series: [
+    {
+      name: 'Harry Potter',
+      books: [
+        { title: "Harry Potter and the Philosopher's Stone", workKey: '/works/OL82563W' },
+        { title: 'Harry Potter and the Chamber of Secrets', workKey: '/works/OL82537W' },
+        { title: 'Harry Potter and the Prisoner of Azkaban', workKey: '/works/OL82536W' },
+        { title: 'Harry Potter and the Goblet of Fire' },
+        { title: 'Harry Potter and the Order of the Phoenix' },
+        { title: 'Harry Potter and the Half-Blood Prince' },
+        { title: 'Harry Potter and the Deathly Hallows' }
+      ]
+    },
+    {
+      name: 'Cormoran Strike',
+      aliases: ['Strike', 'A Cormoran Strike Novel'],
+      books: [
+        { title: "The Cuckoo's Calling", workKey: '/works/OL16806398W' },
+        { title: 'The Silkworm' },
+        { title: 'Career of Evil' },
+        { title: 'Lethal White' },
+        { title: 'Troubled Blood' },
+        { title: 'The Ink Black Heart' },
+        { title: 'The Running Grave' },
+        { title: 'The Hallmarked Man' }
+      ]
+    },
+    {
+      // The screenplays only; the 2001 Hogwarts Library "Fantastic Beasts and Where to
+      // Find Them" is a separate book and is left out by the full first title
+      name: 'Fantastic Beasts',
+      aliases: ['Fantastic Beasts screenplays'],
+      books: [
+        { title: 'Fantastic Beasts and Where to Find Them: The Original Screenplay' },
+        { title: 'Fantastic Beasts: The Crimes of Grindelwald' },
+        { title: 'Fantastic Beasts: The Secrets of Dumbledore' }
+      ]
+    }
+  ],
+
+  // Curated descriptions keyed by Open Library work key; shown as an editor's note
+  // ahead of every other description source
+  descriptionOverrides: {
+    '/works/OL82563W': 'Eleven-year-old Harry Potter learns on his birthday that he is a wizard and leaves his cupboard under the stairs for Hogwarts. The book that began the series introduces Ron, Hermione and the mystery of the stone hidden in the school.'
+  },
+
+  // Curated biography content (JSON plus Markdown sections), merged with the Open Library
+  // author record by authorBio.js; about card data-card values name Markdown section IDs
+  contentUrl: '/content/author-profile.json'
+};
+
+/**
+ * Get the primary author identity
+ * @returns {Object} Identity { role, name, id, searchName, aliases }
+ */
+export function getPrimaryAuthor() {
+  return authorProfile.authors.find(author => author.role === AuthorRole.PRIMARY) || authorProfile.authors[0];
+}
+
+/**
+ * Get the primary Open Library author ID
+ * @returns {string} Author ID
+ */
+export function getPrimaryAuthorId() {
+  return getPrimaryAuthor().id;
+}
+
+/**
+ * Get an identity's name encoded for Open Library search queries
+ * @param {Object} identity - Author identity, the primary author by default
+ * @returns {string} Query-ready author name
+ */
+export function getAuthorSearchQuery(identity = getPrimaryAuthor()) {
+  return encodeURIComponent(identity.searchName || identity.name).replace(/%20/g, '+');
+}
+
+/**
+ * Check whether a free-text author string refers to the configured author under their own
+ * name or a pseudonym
+ * @param {string} authorText - Author name(s) from external data
+ * @returns {boolean} True if one of the names or aliases appears
+ */
+export function matchesAuthor(authorText) {
+  if (!authorText) return false;
+
+  const text = authorText.toLowerCase();
+  const names = [authorProfile.name, ...getOwnIdentities().flatMap(identity => [identity.name, ...(identity.aliases || [])])];
+  return names.some(name => text.includes(name.toLowerCase()));
+}
+
+/**
+ * Find the configured identity for an Open Library author
+ * @param {Object} author - { key, name } from a Book's authors
+ * @returns {Object|null} Identity, matched by ID and then by name or alias
+ */
+export function findAuthorIdentity(author) {
+  const byId = authorProfile.authors.find(identity => identity.id && identity.id === author.key);
+  if (byId) return byId;
+
+  const name = foldPersonName(author.name);
+  if (!name) return null;
+  return authorProfile.authors.find(identity =>
+    [identity.name, ...(identity.aliases || [])].some(alias => foldPersonName(alias) === name)
+  ) || null;
+}
+
+/**
+ * Format the byline a work was published under, e.g. "Robert Galbraith" or
+ * "J.K. Rowling, Jack Thorne, and John Tiffany". A pseudonym wins over the author's own name
+ * when a record credits both.
+ * @param {Array<{key: string, name: string}>} authors - Authors from a Book
+ * @returns {string} Byline names
+ */
+export function formatByline(authors = []) {
+  const credited = authors.map(author => ({ author, identity: findAuthorIdentity(author) }));
+  const own = credited.filter(({ identity }) => identity && identity.role !== AuthorRole.CO_AUTHOR);
+  const publishedAs = own.find(({ identity }) => identity.role === AuthorRole.PSEUDONYM) || own[0];
+
+  const coAuthors = credited
+    .filter(item => !own.includes(item))
+    .map(({ author, identity }) => identity?.name || author.name)
+    .filter(Boolean);
+
+  const names = [publishedAs ? publishedAs.identity.name : authorProfile.name, ...new Set(coAuthors)];
+  return new Intl.ListFormat('en', { style: 'long', type: 'conjunction' }).format(names);
+}
+
+/**
+ * Identities under which the author publishes their own work (primary and pseudonyms)
+ * @returns {Object[]} Identities
+ */
+function getOwnIdentities() {
+  return authorProfile.authors.filter(identity => identity.role !== AuthorRole.CO_AUTHOR);
+}
+
+/**
+ * Reduce a person's name to lowercase letters so "J. K. Rowling" and "J.K. Rowling" compare equal
+ * @param {string} name - Name
+ * @returns {string} Folded name
+ */
+function foldPersonName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+/**
+ * Fill a copy template with the author name and any extra values
+ * @param {string} template - Copy with {placeholders}
+ * @param {Object} values - Extra placeholder values
+ * @returns {string} Formatted copy
+ */
+export function formatAuthorCopy(template, values = {}) {
+  const allValues = { author: authorProfile.name, ...values };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in allValues ? allValues[key] : match));
+}
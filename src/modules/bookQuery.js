@@ -0,0 +1,258 @@
+/**
+ * Runs parsed search queries against the book model.
+ * Words and phrases are matched through the search index and give results their relevance;
+ * keyword and number fields are plain predicates that filter without changing the ranking.
+ */
+
+import { getLanguageName, toLanguageTag } from './languages.js';
+import { QueryNode, QuerySyntaxError, parseQuery } from './queryParser.js';
+import { foldText, isStopWord, tokenize } from './searchIndex.js';
+import { getBookGenres } from './taxonomy.js';
+
+/**
+ * Field qualifiers, as typed before the colon
+ * - text: matched through the search index, in the listed index fields
+ * - keyword: matches(book, value) decides
+ * - number: value(book) is compared with a number or a low..high range
+ */
+export const QUERY_FIELDS = {
+  title: { kind: 'text', fields: ['title', 'subtitle'] },
+  subject: { kind: 'text', fields: ['subjects'] },
+  series: { kind: 'text', fields: ['series'] },
+  publisher: { kind: 'text', fields: ['publishers'] },
+  description: { kind: 'text', fields: ['description'] },
+  genre: {
+    kind: 'keyword',
+    // Every word must appear in a genre name, so genre:mystery finds "Mystery & Crime"
+    matches: (book, value) => {
+      const words = tokenize(value);
+      return getBookGenres(book, { includeParents: true })
+        .some(genre => words.every(word => tokenize(genre).includes(word)));
+    }
+  },
+  lang: {
+    kind: 'keyword',
+    // A code (fre, fr) or a name in English or the visitor's language (French, français)
+    matches: (book, value) => {
+      const folded = foldText(value);
+      return book.languages.some(code =>
+        toLanguageTag(code) === toLanguageTag(value) ||
+        foldText(getLanguageName(code, 'en')) === folded ||
+        foldText(getLanguageName(code)) === folded);
+    }
+  },
+  year: { kind: 'number', value: book => book.year },
+  rating: { kind: 'number', value: book => book.rating?.average ?? null }
+};
+
+/**
+ * Error for a query with nothing to search for, such as "!!!"
+ */
+export class EmptyQueryError extends Error {
+  /**
+   * @param {string} message - Error message, shown to the visitor
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'EmptyQueryError';
+  }
+}
+
+// Other spellings of field qualifiers
+const FIELD_ALIASES = {
+  subjects: 'subject',
+  publishers: 'publisher',
+  language: 'lang',
+  desc: 'description'
+};
+
+/**
+ * Match books against a query. A malformed query is reported and its words are searched as
+ * plain text instead, so results keep up while the visitor is still typing. Words without
+ * letters or digits are left out; a query with nothing else to search for is reported and
+ * matches every book.
+ * @param {string} query - Query text
+ * @param {SearchIndex} index - Index of the books to search
+ * @returns {Object} { results: Array<{book, score}> best match first, terms: Set<string> of
+ *   matched index terms for highlighting, error: QuerySyntaxError|EmptyQueryError|null }
+ */
+export function searchBooks(query, index) {
+  let compiled;
+  let error = null;
+
+  try {
+    const root = parseQuery(query);
+    compiled = compileNode(root, index, createContext(root));
+  } catch (caught) {
+    if (!(caught instanceof QuerySyntaxError)) throw caught;
+
+    error = caught;
+    const plainText = { type: QueryNode.TERM, field: null, value: query, phrase: false, range: null, prefix: true };
+    compiled = compileNode(plainText, index, createContext(plainText));
+  }
+
+  if (compiled.ignored && !error && query.trim()) {
+    error = new EmptyQueryError(`"${query.trim()}" has no words or numbers to search for`);
+  }
+
+  const results = index.books
+    .map(book => ({ book, score: compiled.match(book) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score);
+
+  return { results, terms: compiled.terms, error };
+}
+
+/**
+ * Work out facts about the whole query that individual terms depend on
+ * @param {Object|null} root - Root node
+ * @returns {Object} { skipStopWords } - drop stop words when the query has other free text
+ */
+function createContext(root) {
+  const words = [];
+  const collect = (node, negated) => {
+    if (!node) return;
+    if (node.type === QueryNode.TERM && !node.field && !node.phrase && !negated) words.push(node.value);
+    if (node.type === QueryNode.NOT) collect(node.child, !negated);
+    (node.children || []).forEach(child => collect(child, negated));
+  };
+  collect(root, false);
+
+  return { skipStopWords: words.some(word => !isStopWord(word)) };
+}
+
+/**
+ * Turn a syntax tree node into a matcher
+ * @param {Object|null} node - Node from parseQuery
+ * @param {SearchIndex} index - Search index
+ * @param {Object} context - Result of createContext
+ * @returns {Object} { match(book) => score or null when the book does not match,
+ *   terms: Set<string> of index terms matched by words that are not excluded,
+ *   ignored: true when the node has nothing to search for and matches every book }
+ */
+function compileNode(node, index, context) {
+  if (!node) {
+    return createIgnoredMatcher();
+  }
+
+  if (node.type === QueryNode.TERM) {
+    return compileTerm(node, index, context);
+  }
+
+  if (node.type === QueryNode.NOT) {
+    // Excluded words are not highlighted
+    const child = compileNode(node.child, index, context);
+    if (child.ignored) return child;
+    return { match: book => (child.match(book) === null ? 0 : null), terms: new Set() };
+  }
+
+  // Words left out of the query drop out of AND and OR alike, so "(the OR potter)" means "potter"
+  const children = node.children
+    .map(child => compileNode(child, index, context))
+    .filter(child => !child.ignored);
+  if (children.length === 0) return createIgnoredMatcher();
+
+  const terms = new Set(children.flatMap(child => Array.from(child.terms)));
+
+  if (node.type === QueryNode.AND) {
+    return {
+      match: book => {
+        let total = 0;
+        for (const child of children) {
+          const score = child.match(book);
+          if (score === null) return null;
+          total += score;
+        }
+        return total;
+      },
+      terms
+    };
+  }
+
+  // OR: the best matching alternative counts
+  return {
+    match: book => {
+      const scores = children.map(child => child.match(book)).filter(score => score !== null);
+      return scores.length > 0 ? Math.max(...scores) : null;
+    },
+    terms
+  };
+}
+
+/**
+ * Turn a term into a matcher
+ * @param {Object} node - Term node
+ * @param {SearchIndex} index - Search index
+ * @param {Object} context - Result of createContext
+ * @returns {Object} Matcher, as returned by compileNode
+ */
+function compileTerm(node, index, context) {
+  const fieldName = node.field ? (FIELD_ALIASES[node.field] || node.field) : null;
+  const field = fieldName ? QUERY_FIELDS[fieldName] : { kind: 'text', fields: null };
+
+  if (!field) {
+    throw new QuerySyntaxError(`Unknown field "${node.field}:"`, node.position);
+  }
+  if (node.range && field.kind !== 'number') {
+    throw new QuerySyntaxError(`"${node.field}:" does not take a range`, node.position);
+  }
+
+  if (field.kind === 'number') {
+    const { min, max } = node.range
+      ? { min: parseBound(node.range.min, node), max: parseBound(node.range.max, node) }
+      : { min: parseBound(node.value, node), max: parseBound(node.value, node) };
+
+    return {
+      match: book => {
+        const value = field.value(book);
+        return value !== null && value !== undefined && (min === null || value >= min) && (max === null || value <= max)
+          ? 0
+          : null;
+      },
+      terms: new Set()
+    };
+  }
+
+  if (field.kind === 'keyword') {
+    return { match: book => (field.matches(book, node.value) ? 0 : null), terms: new Set() };
+  }
+
+  // Punctuation on its own, e.g. the "&" in "harry & potter", has nothing to match
+  if (tokenize(node.value).length === 0) {
+    return createIgnoredMatcher();
+  }
+  if (!node.field && !node.phrase && context.skipStopWords && isStopWord(node.value)) {
+    return createIgnoredMatcher();
+  }
+
+  const { scores, terms } = index.matchText(node.value, {
+    fields: field.fields,
+    prefix: node.prefix,
+    phrase: node.phrase
+  });
+  return { match: book => (scores.has(book) ? scores.get(book) : null), terms };
+}
+
+/**
+ * Matcher for a part of the query that is left out: it matches every book without scoring
+ * @returns {Object} Matcher, as returned by compileNode
+ */
+function createIgnoredMatcher() {
+  return { match: () => 0, terms: new Set(), ignored: true };
+}
+
+/**
+ * Read one end of a number comparison
+ * @param {string|null} text - Number text, or null for an open end
+ * @param {Object} node - Term node, for errors
+ * @returns {number|null} Number, or null for an open end
+ */
+function parseBound(text, node) {
+  if (text === null) return null;
+
+  const value = Number(text);
+  if (!Number.isFinite(value)) {
+    throw new QuerySyntaxError(`"${node.field}:" takes a number or a range like 1997..2007`, node.position);
+  }
+  return value;
+}
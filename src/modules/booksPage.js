@@ -2,9 +2,41 @@
  * Books page functionality
  */
 
-import { fetchDetailedJKRowlingBooks, generateBookDescription } from './apiService.js';
+import {
+  dedupeByWorkKey,
+  fetchDetailedAuthorBooks,
+  generateBookDescription,
+  isOpenLibraryDegraded,
+  onOpenLibraryStatusChange
+} from './apiService.js';
+import { authorProfile, formatAuthorCopy, formatByline } from './authorProfile.js';
+import { CoverSizes, renderCoverImage } from './coverImage.js';
+import { FacetPanel } from './facetPanel.js';
+import {
+  FACETS,
+  countFacetValues,
+  createFacetSelection,
+  filterByFacets,
+  hasFacetSelection,
+  indexFacetValues
+} from './facets.js';
+import { EmptyQueryError, searchBooks } from './bookQuery.js';
 import { BooksPageModal } from './modals.js';
-import { addEvent, debounce, escapeHtml } from './utils.js';
+import { SearchIndex, foldText, stem } from './searchIndex.js';
+import { compareSeriesOrder, formatSeriesPosition } from './series.js';
+import { onViewStateChange, readViewState, writeViewState } from './urlState.js';
+import { addEvent, debounce, escapeHtml, formatCount } from './utils.js';
+
+const BOOKS_PAGE_SIZE = 50; // Books requested from the API per page
+const RENDER_BATCH_SIZE = 24; // Cards added to the grid each time the sentinel comes into view
+const DEFAULT_SORT = 'newest';
+const RELEVANCE_SORT = 'relevance'; // Replaces the default sort while a search is active
+const QUERY_EXAMPLE = 'subject:magic year:1997..2007 lang:fre -"box set"'; // Shown with query errors
+const EAGER_COVER_COUNT = 4; // Covers in the first row load immediately; the rest wait until near the viewport
+
+// Ratings are ranked by a weighted average that pulls books with few ratings towards the prior,
+// so a single five-star rating does not outrank hundreds of fours
+const RATING_PRIOR = { average: 3.5, weight: 10 };
 
 /**
  * Books Page Manager
@@ -16,16 +48,37 @@ export class BooksPageManager {
     this.filteredBooks = [];
     this.currentFilters = {
       search: '',
-      language: '',
-      year: '',
-      genre: ''
+      facets: createFacetSelection()
     };
+    this.currentSort = DEFAULT_SORT;
+    this.facetPanel = null;
+    
+    // Full-text search, rebuilt lazily whenever the loaded books change
+    this.searchIndex = new SearchIndex();
+    this.isSearchIndexStale = true;
+    this.searchScores = new Map(); // Relevance of each book for the current search
+    this.searchTerms = new Set(); // Indexed terms the current search matches, for highlighting
+    this.queryError = null; // QuerySyntaxError or EmptyQueryError for the search, shown under the search box
     this.modal = new BooksPageModal(this); // Pass reference to this manager
     this.debouncedSearch = debounce((query) => this.searchBooks(query), 300);
     this.debouncedFilter = debounce(() => this.applyFilters(), 100);
+    this.debouncedReplaceUrl = debounce(() => this.updateUrl({ replace: true }), 300);
+    
+    // Paged loading and incremental rendering
+    this.pages = []; // Raw books for each loaded page, in page order
+    this.pagination = { hasMore: false, totalAvailable: 0, nextCursor: null, isLoading: false };
+    this.pendingPage = null; // Promise for the page currently being fetched
+    this.loadError = null; // Set when a follow-up page fails; pauses infinite scroll
+    this.isLoadingAll = false;
+    this.renderBatchSize = RENDER_BATCH_SIZE;
+    this.renderLimit = RENDER_BATCH_SIZE; // Cards to render for the current filters
+    this.renderedCount = 0;
+    this.sentinelObserver = null;
     
     // Performance optimizations
-    this.descriptionCache = new Map(); // Cache for generated descriptions
+    this.descriptionCache = new Map(); // Cache for resolved { text, source, label } descriptions
+    this.bookElements = new WeakMap(); // Rendered card for each book, patched as enrichment arrives
+    this.debouncedRefreshFilters = debounce(() => this.updateFacets(), 500);
     this.isPreGeneratingDescriptions = false; // Flag to prevent multiple pre-generation calls
   }
 
@@ -41,6 +94,15 @@ export class BooksPageManager {
     }
     
     this.setupEventListeners();
+    this.setupInfiniteScroll();
+    
+    // A bookmarked or shared URL restores its view; back and forward move between views
+    this.restoreViewState(readViewState());
+    onViewStateChange((state) => {
+      this.restoreViewState(state);
+      this.applyFilters();
+    });
+    
     await this.fetchBooks();
   }
 
@@ -56,9 +118,16 @@ export class BooksPageManager {
       searchInput: document.getElementById('bookSearch'),
       clearBtn: document.getElementById('clearSearch'),
       searchResults: document.getElementById('searchResults'),
-      languageFilter: document.getElementById('languageFilter'),
-      yearFilter: document.getElementById('yearFilter'),
-      clearFiltersBtn: document.getElementById('clearFilters')
+      facetPanel: document.getElementById('facetPanel'),
+      activeFilters: document.getElementById('activeFilters'),
+      sortSelect: document.getElementById('sortSelect'),
+      clearFiltersBtn: document.getElementById('clearFilters'),
+      lastUpdated: document.getElementById('lastUpdated'),
+      serviceStatus: document.getElementById('serviceStatus'),
+      sentinel: document.getElementById('booksSentinel'),
+      loadMore: document.getElementById('loadMore'),
+      loadMoreStatus: document.getElementById('loadMoreStatus'),
+      loadAllBtn: document.getElementById('loadAllBtn')
     };
   }
 
@@ -74,15 +143,13 @@ export class BooksPageManager {
     // Search functionality
     if (this.elements.searchInput) {
       addEvent(this.elements.searchInput, 'input', (event) => {
-        this.currentFilters.search = event.target.value;
-        this.debouncedFilter();
+        this.setSearch(event.target.value);
       });
 
       addEvent(this.elements.searchInput, 'keydown', (event) => {
         if (event.key === 'Escape') {
           this.elements.searchInput.value = '';
-          this.currentFilters.search = '';
-          this.debouncedFilter();
+          this.setSearch('');
         }
       });
     }
@@ -91,31 +158,26 @@ export class BooksPageManager {
     if (this.elements.clearBtn) {
       addEvent(this.elements.clearBtn, 'click', () => {
         this.elements.searchInput.value = '';
-        this.currentFilters.search = '';
-        this.debouncedFilter();
+        this.setSearch('');
         this.elements.searchInput.focus();
       });
     }
 
-    // Filter dropdowns
-    if (this.elements.languageFilter) {
-      addEvent(this.elements.languageFilter, 'change', (event) => {
-        this.currentFilters.language = event.target.value;
-        this.debouncedFilter();
-      });
+    // Facet panel
+    if (this.elements.facetPanel) {
+      this.facetPanel = new FacetPanel(
+        { panel: this.elements.facetPanel, chips: this.elements.activeFilters },
+        (facetId, value, selected) => this.toggleFacetValue(facetId, value, selected)
+      );
+      this.facetPanel.init();
     }
 
-    if (this.elements.yearFilter) {
-      addEvent(this.elements.yearFilter, 'change', (event) => {
-        this.currentFilters.year = event.target.value;
-        this.debouncedFilter();
-      });
-    }
-
-    if (this.elements.genreFilter) {
-      addEvent(this.elements.genreFilter, 'change', (event) => {
-        this.currentFilters.genre = event.target.value;
+    // Sort order
+    if (this.elements.sortSelect) {
+      addEvent(this.elements.sortSelect, 'change', (event) => {
+        this.currentSort = event.target.value;
         this.debouncedFilter();
+        this.updateUrl();
       });
     }
 
@@ -125,6 +187,46 @@ export class BooksPageManager {
         this.clearAllFilters();
       });
     }
+
+    // Load all button
+    if (this.elements.loadAllBtn) {
+      addEvent(this.elements.loadAllBtn, 'click', () => this.loadAllBooks());
+    }
+
+    // Service degradation banner
+    onOpenLibraryStatusChange(() => this.updateServiceStatus());
+  }
+
+  /**
+   * Watch the sentinel below the grid and render (or fetch) more books as it scrolls into view
+   */
+  setupInfiniteScroll() {
+    if (!this.elements.sentinel) return;
+
+    if (!('IntersectionObserver' in window)) {
+      // Render everything that is loaded; the "load all" button fetches the rest
+      this.renderBatchSize = Infinity;
+      this.renderLimit = Infinity;
+      return;
+    }
+
+    this.sentinelObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.renderNextBatch();
+      }
+    }, { rootMargin: '400px 0px' });
+
+    this.sentinelObserver.observe(this.elements.sentinel);
+  }
+
+  /**
+   * Re-observe the sentinel so the observer reports it again if it is still in view
+   * after the grid changed
+   */
+  rearmSentinel() {
+    if (!this.sentinelObserver) return;
+    this.sentinelObserver.unobserve(this.elements.sentinel);
+    this.sentinelObserver.observe(this.elements.sentinel);
   }
 
   /**
@@ -134,9 +236,15 @@ export class BooksPageManager {
     try {
       this.showLoading();
       
-      const data = await fetchDetailedJKRowlingBooks(100);
-      this.displayBooks(data.books);
+      this.pages = [];
+      this.pagination = { hasMore: false, totalAvailable: 0, nextCursor: null, isLoading: false };
+      this.loadError = null;
+      this.renderLimit = this.renderBatchSize;
+      
+      const data = await this.loadPage(0, null);
+      this.updateLastUpdated(data.updatedAt);
       this.showBooks();
+      this.updateServiceStatus();
       
       // Skip pre-generation to avoid API errors
       // this.preGenerateDescriptions(this.allBooks.slice(0, 10));
@@ -147,6 +255,119 @@ export class BooksPageManager {
     }
   }
 
+  /**
+   * Fetch one page of books and merge it into the loaded set
+   * @param {number} pageIndex - Zero-based page number
+   * @param {Object|null} cursor - Source offsets from the previous page's nextCursor; null for the first page
+   * @returns {Promise<Object>} Page data from the API
+   */
+  async loadPage(pageIndex, cursor) {
+    this.pagination.isLoading = true;
+    this.updateLoadMore();
+    
+    try {
+      const data = await fetchDetailedAuthorBooks(BOOKS_PAGE_SIZE, {
+        cursor,
+        onUpdate: (freshData) => {
+          // Background refresh finished; swap in the fresh page
+          this.pages[pageIndex] = freshData.books;
+          this.displayBooks(this.pages.flat());
+          this.updateLastUpdated(freshData.updatedAt);
+        },
+        onBookEnriched: (book) => this.patchBookElement(book)
+      });
+      
+      this.pages[pageIndex] = data.books;
+      this.pagination.hasMore = Boolean(data.hasMore);
+      this.pagination.totalAvailable = data.totalAvailable || 0;
+      this.pagination.nextCursor = data.nextCursor || null;
+      this.displayBooks(this.pages.flat());
+      
+      // Subjects and ratings arrive with enrichment, so re-filter and re-sort once it settles
+      data.enrichment
+        .then(() => {
+          this.updateFacets();
+          this.isSearchIndexStale = true;
+          if (this.hasActiveFilters() || this.currentSort !== DEFAULT_SORT) {
+            this.applyFilters(true);
+          }
+        })
+        .catch(error => console.warn('Book enrichment failed:', error));
+      
+      return data;
+    } finally {
+      this.pagination.isLoading = false;
+      this.updateLoadMore();
+    }
+  }
+
+  /**
+   * Fetch the next page if there is one and no other page is in flight
+   * @returns {Promise<void>}
+   */
+  loadNextPage() {
+    if (this.pendingPage || !this.pagination.hasMore) {
+      return this.pendingPage || Promise.resolve();
+    }
+    
+    this.pendingPage = this.loadPage(this.pages.length, this.pagination.nextCursor)
+      .then(() => {
+        this.loadError = null;
+      })
+      .catch(error => {
+        console.error('Error loading more books:', error);
+        this.loadError = error;
+      })
+      .finally(() => {
+        this.pendingPage = null;
+        this.updateLoadMore();
+      });
+    
+    return this.pendingPage;
+  }
+
+  /**
+   * Fetch every remaining page and render all matching books
+   */
+  async loadAllBooks() {
+    if (this.isLoadingAll) return;
+    
+    this.isLoadingAll = true;
+    this.loadError = null;
+    this.updateLoadMore();
+    
+    try {
+      while (this.pagination.hasMore && !this.loadError) {
+        await this.loadNextPage();
+      }
+      
+      this.renderLimit = Infinity;
+      this.applyFilters(true);
+    } finally {
+      this.isLoadingAll = false;
+      this.updateLoadMore();
+    }
+  }
+
+  /**
+   * Append the next batch of filtered books, or fetch another page once all loaded books are shown
+   */
+  renderNextBatch() {
+    if (this.renderedCount < this.filteredBooks.length) {
+      const batch = this.filteredBooks.slice(this.renderedCount, this.renderedCount + this.renderBatchSize);
+      this.appendBookElements(batch, this.renderedCount);
+      this.renderedCount += batch.length;
+      this.renderLimit = Math.max(this.renderLimit, this.renderedCount);
+      this.updateLoadMore();
+      this.rearmSentinel();
+      return;
+    }
+    
+    if (this.pagination.hasMore && !this.loadError && this.pages.length > 0) {
+      this.loadNextPage();
+    }
+  }
+
   /**
    * Display books in grid
    * @param {Array} books - Array of book objects
@@ -155,32 +376,51 @@ export class BooksPageManager {
     const filteredBooks = this.filterBooks(books);
     this.allBooks = filteredBooks;
     this.filteredBooks = filteredBooks;
-    this.populateFilterDropdowns();
-    this.applyFilters();
+    this.isSearchIndexStale = true;
+    this.applyFilters(true);
   }
 
   /**
-   * Filter books to remove duplicates and irrelevant entries
-   * @param {Array} books - Raw books array
-   * @returns {Array} Filtered books
+   * Re-render a book card after its details have been enriched
+   * @param {Object} book - Enriched book object
    */
-  filterBooks(books) {
-    const seenTitles = new Set();
+  patchBookElement(book) {
+    const existingElement = this.bookElements.get(book);
+    if (existingElement && existingElement.isConnected) {
+      const updatedElement = this.createBookElement(book);
+      updatedElement.style.animation = 'none';
+      updatedElement.style.opacity = '1';
+      existingElement.replaceWith(updatedElement);
+    }
     
-    return books
-      .filter(book => book.title && book.first_publish_year)
-      .filter(book => {
-        const title = book.title.toLowerCase().trim();
-        
-        if (seenTitles.has(title)) {
-          return false;
-        }
-        seenTitles.add(title);
-        
-        return !this.isExcludedTitle(title);
-      })
+    this.isSearchIndexStale = true;
+    this.debouncedRefreshFilters();
+  }
+
+  /**
+   * Check whether any search text or filter is active
+   * @returns {boolean} True if the grid is filtered
+   */
+  hasActiveFilters() {
+    return Boolean(
+      this.currentFilters.search.trim() ||
+      hasFacetSelection(this.currentFilters.facets)
+    );
+  }
+
+  /**
+   * Filter books to remove duplicates and irrelevant entries. A work can arrive on more than
+   * one page (from the works list on one and the search on another), so copies are
+   * combined by work key; distinct works that share a title are all kept.
+   * @param {Book[]} books - Normalized books
+   * @returns {Book[]} Filtered books
+   */
+  filterBooks(books) {
+    return dedupeByWorkKey(books)
+      .filter(book => book.title && book.year)
+      .filter(book => !this.isExcludedTitle(book.title.toLowerCase().trim()))
       .sort((a, b) => {
-        const yearDiff = (b.first_publish_year || 0) - (a.first_publish_year || 0);
+        const yearDiff = (b.year || 0) - (a.year || 0);
         if (yearDiff !== 0) return yearDiff;
         return a.title.localeCompare(b.title);
       });
@@ -205,7 +445,8 @@ export class BooksPageManager {
   }
 
   /**
-   * Display filtered books with optimized rendering
+   * Display filtered books with optimized rendering. Only the first `renderLimit` cards are
+   * rendered; the rest are appended as the sentinel scrolls into view.
    * @param {Array} books - Filtered books array
    */
   displayFilteredBooks(books) {
@@ -213,22 +454,47 @@ export class BooksPageManager {
     
     // Clear container
     container.innerHTML = '';
+    this.renderedCount = 0;
 
     if (books.length === 0) {
       this.showNoResults();
       this.updateBooksCount(0);
+      this.updateLoadMore();
+      this.rearmSentinel();
       return;
     }
 
+    const visibleBooks = books.slice(0, this.renderLimit);
+    this.appendBookElements(visibleBooks, 0);
+    this.renderedCount = visibleBooks.length;
+    
+    // Add fade-in class for smooth appearance
+    container.classList.add('fade-in');
+    
+    this.updateBooksCount(books.length);
+    this.updateLoadMore();
+    this.rearmSentinel();
+    
+    // Remove fade-in class after animation
+    setTimeout(() => {
+      container.classList.remove('fade-in');
+    }, 500);
+  }
+
+  /**
+   * Append book cards to the grid
+   * @param {Array} books - Books to append
+   * @param {number} startIndex - Position of the first book in the filtered list
+   */
+  appendBookElements(books, startIndex) {
     // Use DocumentFragment for efficient DOM manipulation
     const fragment = document.createDocumentFragment();
     
-    // Create all book elements first
-    const bookElements = books.map((book, index) => {
-      const bookElement = this.createBookElement(book);
+    books.forEach((book, index) => {
+      const bookElement = this.createBookElement(book, { eager: startIndex + index < EAGER_COVER_COUNT });
       
       // Add staggered animation delay
-      if (index < 12) { // Only animate first 12 for performance
+      if (startIndex + index < 12) { // Only animate first 12 for performance
         bookElement.style.animationDelay = `${index * 0.05}s`;
       } else {
         // Remove animation for later items to prevent lag
@@ -236,41 +502,25 @@ export class BooksPageManager {
         bookElement.style.opacity = '1';
       }
       
-      return bookElement;
+      fragment.appendChild(bookElement);
     });
     
-    // Batch append to fragment
-    bookElements.forEach(element => fragment.appendChild(element));
-    
     // Single DOM update
-    container.appendChild(fragment);
-    
-    // Add fade-in class for smooth appearance
-    container.classList.add('fade-in');
-    
-    this.updateBooksCount(books.length);
-    
-    // Remove fade-in class after animation
-    setTimeout(() => {
-      container.classList.remove('fade-in');
-    }, 500);
+    this.elements.booksContainer.appendChild(fragment);
   }
 
   /**
    * Create book element
    * @param {Object} book - Book object
+   * @param {Object} options - Options
+   * @param {boolean} options.eager - Load the cover immediately (cards above the fold)
    * @returns {HTMLElement} Book element
    */
-  createBookElement(book) {
+  createBookElement(book, { eager = false } = {}) {
     const bookDiv = document.createElement('div');
     bookDiv.className = 'book-item';
 
-    const coverId = book.cover_i;
-    const coverUrl = coverId 
-      ? `https://covers.openlibrary.org/b/id/${coverId}-L.jpg`
-      : 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjQ1MCIgdmlld0JveD0iMCAwIDMwMCA0NTAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iNDUwIiBmaWxsPSIjRjBGMEYwIi8+Cjx0ZXh0IHg9IjE1MCIgeT0iMjI1IiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTgiIGZpbGw9IiM2NjYiIHRleHQtYW5jaG9yPSJtaWRkbGUiPk5vIENvdmVyPC90ZXh0Pgo8L3N2Zz4K';
-
-    const subjects = book.subject ? book.subject.slice(0, 3) : [];
+    const subjects = book.subjects.slice(0, 3);
     const subjectsHtml = subjects.length > 0 
       ? `<div class="book-subjects">
            ${subjects.map(subject => `<span class="subject-tag">${escapeHtml(subject)}</span>`).join('')}
@@ -278,14 +528,16 @@ export class BooksPageManager {
       : '';
 
     const description = this.generateDescription(book);
-    const currentQuery = this.currentFilters.search;
-    const titleDisplay = currentQuery ? this.highlightSearchTerm(book.title, currentQuery) : escapeHtml(book.title);
-    const descriptionDisplay = currentQuery ? this.highlightSearchTerm(description, currentQuery) : escapeHtml(description);
+    const titleDisplay = this.highlightSearchTerms(book.title);
+    const descriptionDisplay = this.highlightSearchTerms(description);
 
     bookDiv.innerHTML = `
-      <img src="${coverUrl}" alt="${escapeHtml(book.title)}" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjQ1MCIgdmlld0JveD0iMCAwIDMwMCA0NTAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iNDUwIiBmaWxsPSIjRjBGMEYwIi8+Cjx0ZXh0IHg9IjE1MCIgeT0iMjI1IiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTgiIGZpbGw9IiM2NjYiIHRleHQtYW5jaG9yPSJtaWRkbGUiPk5vIENvdmVyPC90ZXh0Pgo8L3N2Zz4K'">
+      ${renderCoverImage(book, { sizes: CoverSizes.GRID, eager })}
       <h3>${titleDisplay}</h3>
-      <p class="book-year">${book.first_publish_year || 'Unknown'}</p>
+      <p class="book-byline">by ${escapeHtml(formatByline(book.authors))}</p>
+      <p class="book-year">${book.year || 'Unknown'}</p>
+      ${this.renderSeries(book)}
+      ${this.renderReception(book)}
       <p class="book-description">${descriptionDisplay}</p>
       ${subjectsHtml}
       <div class="book-actions">
@@ -304,9 +556,52 @@ export class BooksPageManager {
       });
     }
 
+    this.bookElements.set(book, bookDiv);
     return bookDiv;
   }
 
+  /**
+   * Render the series line for a card, e.g. "Harry Potter · Book 3 of 7"
+   * @param {Book} book - Book
+   * @returns {string} HTML, or '' when the book is not in a series
+   */
+  renderSeries(book) {
+    if (!book.series) return '';
+    
+    const position = formatSeriesPosition(book);
+    return `<p class="book-series">${escapeHtml(book.series)}${position ? ` · ${position}` : ''}</p>`;
+  }
+
+  /**
+   * Render the rating and reader count line for a card
+   * @param {Book} book - Book
+   * @returns {string} HTML, or '' when there is no reception data
+   */
+  renderReception(book) {
+    const parts = [];
+    
+    if (book.rating) {
+      parts.push(`
+        <span class="book-rating" title="${book.rating.average.toFixed(2)} average from ${book.rating.count.toLocaleString()} ratings">
+          <span aria-hidden="true">★</span> ${book.rating.average.toFixed(1)}
+          <span class="book-rating-count">(${formatCount(book.rating.count)})</span>
+        </span>
+      `);
+    }
+    
+    const readers = book.readingLog ? this.getPopularity(book) : 0;
+    if (readers > 0) {
+      const { wantToRead, currentlyReading, alreadyRead } = book.readingLog;
+      parts.push(`
+        <span class="book-readers" title="${wantToRead.toLocaleString()} want to read, ${currentlyReading.toLocaleString()} reading, ${alreadyRead.toLocaleString()} have read">
+          ${formatCount(readers)} readers
+        </span>
+      `);
+    }
+    
+    return parts.length > 0 ? `<p class="book-reception">${parts.join('')}</p>` : '';
+  }
+
   /**
    * Generate description for book
    * @param {Object} book - Book object
@@ -315,407 +610,164 @@ export class BooksPageManager {
   generateDescription(book) {
     if (book.subtitle) {
       return book.subtitle;
-    } else if (book.subject && book.subject.length > 0) {
-      return `A work exploring themes of ${book.subject.slice(0, 2).join(' and ')}.`;
+    } else if (book.subjects.length > 0) {
+      return `A work exploring themes of ${book.subjects.slice(0, 2).join(' and ')}.`;
     } else {
-      return 'A captivating work by J.K. Rowling.';
+      return formatAuthorCopy(authorProfile.copy.cardFallback);
     }
   }
 
   /**
-   * Populate filter dropdowns with available options
+   * Narrow books to the search query, best match first, and remember each book's relevance.
+   * A malformed query falls back to plain-text matching, and a query with nothing to search for
+   * keeps every book; either leaves its error in queryError.
+   * @returns {Book[]} Books matching the search, before facets are applied
    */
-  populateFilterDropdowns() {
-    this.populateLanguageFilter();
-    this.populateYearFilter();
-    this.populateGenreFilter();
+  getSearchedBooks() {
+    const query = this.currentFilters.search.trim();
+    this.searchScores = new Map();
+    this.searchTerms = new Set();
+    this.queryError = null;
+    if (!query) return [...this.allBooks];
+    
+    if (this.isSearchIndexStale) {
+      this.searchIndex.build(this.allBooks);
+      this.isSearchIndexStale = false;
+    }
+    
+    const { results, terms, error } = searchBooks(query, this.searchIndex);
+    results.forEach(({ book, score }) => this.searchScores.set(book, score));
+    this.searchTerms = terms;
+    this.queryError = error;
+    return results.map(result => result.book);
   }
 
   /**
-   * Populate language filter dropdown
+   * Change the search text and re-filter. Starting a search switches the default sort to
+   * best match, and clearing it switches back; a sort the visitor picked is kept.
+   * @param {string} text - Search text
    */
-  populateLanguageFilter() {
-    if (!this.elements.languageFilter) return;
+  setSearch(text) {
+    const previousDefault = this.getDefaultSort();
+    this.currentFilters.search = text;
     
-    const languages = new Set();
-    this.allBooks.forEach(book => {
-      if (book.language && Array.isArray(book.language)) {
-        book.language.forEach(lang => {
-          if (lang && lang.trim()) {
-            languages.add(lang.trim());
-          }
-        });
-      }
-    });
-
-    const sortedLanguages = Array.from(languages).sort();
-    this.elements.languageFilter.innerHTML = '<option value="">All Languages</option>';
+    if (this.currentSort === previousDefault) {
+      this.currentSort = this.getDefaultSort();
+    }
+    this.updateSortSelect();
     
-    sortedLanguages.forEach(language => {
-      const option = document.createElement('option');
-      option.value = language;
-      option.textContent = this.getLanguageName(language);
-      this.elements.languageFilter.appendChild(option);
-    });
+    this.debouncedFilter();
+    this.debouncedReplaceUrl();
   }
 
   /**
-   * Get readable language name from code
-   * @param {string} langCode - Language code
-   * @returns {string} Readable language name
-   */
-  getLanguageName(langCode) {
-    const languageNames = {
-      'eng': 'English',
-      'en': 'English',
-      'english': 'English',
-      'fre': 'French',
-      'fr': 'French',
-      'french': 'French',
-      'ger': 'German',
-      'de': 'German',
-      'german': 'German',
-      'spa': 'Spanish',
-      'es': 'Spanish',
-      'spanish': 'Spanish',
-      'ita': 'Italian',
-      'it': 'Italian',
-      'italian': 'Italian',
-      'por': 'Portuguese',
-      'pt': 'Portuguese',
-      'portuguese': 'Portuguese',
-      'rus': 'Russian',
-      'ru': 'Russian',
-      'russian': 'Russian',
-      'jpn': 'Japanese',
-      'ja': 'Japanese',
-      'japanese': 'Japanese',
-      'chi': 'Chinese',
-      'zh': 'Chinese',
-      'chinese': 'Chinese',
-      'ara': 'Arabic',
-      'ar': 'Arabic',
-      'arabic': 'Arabic',
-      'hin': 'Hindi',
-      'hi': 'Hindi',
-      'hindi': 'Hindi',
-      'dut': 'Dutch',
-      'nl': 'Dutch',
-      'dutch': 'Dutch',
-      'swe': 'Swedish',
-      'sv': 'Swedish',
-      'swedish': 'Swedish',
-      'nor': 'Norwegian',
-      'no': 'Norwegian',
-      'norwegian': 'Norwegian',
-      'dan': 'Danish',
-      'da': 'Danish',
-      'danish': 'Danish',
-      'fin': 'Finnish',
-      'fi': 'Finnish',
-      'finnish': 'Finnish',
-      'pol': 'Polish',
-      'pl': 'Polish',
-      'polish': 'Polish',
-      'cze': 'Czech',
-      'cs': 'Czech',
-      'czech': 'Czech',
-      'hun': 'Hungarian',
-      'hu': 'Hungarian',
-      'hungarian': 'Hungarian',
-      'tur': 'Turkish',
-      'tr': 'Turkish',
-      'turkish': 'Turkish',
-      'gre': 'Greek',
-      'el': 'Greek',
-      'greek': 'Greek',
-      'heb': 'Hebrew',
-      'he': 'Hebrew',
-      'hebrew': 'Hebrew',
-      'kor': 'Korean',
-      'ko': 'Korean',
-      'korean': 'Korean',
-      'vie': 'Vietnamese',
-      'vi': 'Vietnamese',
-      'vietnamese': 'Vietnamese',
-      'tha': 'Thai',
-      'th': 'Thai',
-      'thai': 'Thai'
-    };
-    
-    const lowerCode = langCode.toLowerCase();
-    return languageNames[lowerCode] || this.capitalizeFirst(langCode);
+   * The sort used when the visitor has not picked one
+   * @returns {string} Best match while searching, otherwise the default sort
+   */
+  getDefaultSort() {
+    return this.currentFilters.search.trim() ? RELEVANCE_SORT : DEFAULT_SORT;
   }
 
   /**
-   * Capitalize first letter of a string
-   * @param {string} str - String to capitalize
-   * @returns {string} Capitalized string
+   * Check whether a sort key can be used now
+   * @param {string} sort - Sort key
+   * @returns {boolean} True for sort menu options, with best match only while searching
    */
-  capitalizeFirst(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+  isSortAvailable(sort) {
+    if (sort === RELEVANCE_SORT) return Boolean(this.currentFilters.search.trim());
+    const options = this.elements.sortSelect ? Array.from(this.elements.sortSelect.options) : [];
+    return options.some(option => option.value === sort);
   }
 
   /**
-   * Populate year filter dropdown
+   * Show the current sort in the sort menu; best match is only offered while searching
    */
-  populateYearFilter() {
-    if (!this.elements.yearFilter) return;
+  updateSortSelect() {
+    if (!this.elements.sortSelect) return;
     
-    const years = new Set();
-    this.allBooks.forEach(book => {
-      if (book.first_publish_year) {
-        years.add(book.first_publish_year);
-      }
-    });
+    const relevanceOption = this.elements.sortSelect.querySelector(`option[value="${RELEVANCE_SORT}"]`);
+    if (relevanceOption) relevanceOption.disabled = !this.currentFilters.search.trim();
+    this.elements.sortSelect.value = this.currentSort;
+  }
 
-    const sortedYears = Array.from(years).sort((a, b) => b - a);
-    this.elements.yearFilter.innerHTML = '<option value="">All Years</option>';
-    
-    // Group years into decades
-    const currentYear = new Date().getFullYear();
-    const decades = new Map();
-    
-    sortedYears.forEach(year => {
-      const decade = Math.floor(year / 10) * 10;
-      if (!decades.has(decade)) {
-        decades.set(decade, []);
-      }
-      decades.get(decade).push(year);
-    });
+  /**
+   * Re-count the facet options for the current search and selection and redraw the panel
+   * @param {Array} index - Facet values of the searched books, when already worked out
+   */
+  updateFacets(index = indexFacetValues(this.getSearchedBooks())) {
+    if (!this.facetPanel) return;
+    this.facetPanel.render(countFacetValues(index, this.currentFilters.facets), this.currentFilters.facets);
+  }
 
-    Array.from(decades.keys()).sort((a, b) => b - a).forEach(decade => {
-      const years = decades.get(decade);
-      const optgroup = document.createElement('optgroup');
-      optgroup.label = `${decade}s`;
-      
-      years.forEach(year => {
-        const option = document.createElement('option');
-        option.value = year;
-        option.textContent = year;
-        optgroup.appendChild(option);
-      });
-      
-      this.elements.yearFilter.appendChild(optgroup);
-    });
+  /**
+   * Select or deselect a facet value and re-filter
+   * @param {string} facetId - Facet ID
+   * @param {string} value - Facet value
+   * @param {boolean} selected - Whether the value should be selected
+   */
+  toggleFacetValue(facetId, value, selected) {
+    const values = this.currentFilters.facets[facetId];
+    if (!values) return;
+
+    this.currentFilters.facets[facetId] = selected
+      ? Array.from(new Set([...values, value]))
+      : values.filter(existing => existing !== value);
+    this.debouncedFilter();
+    this.updateUrl();
   }
 
   /**
-   * Populate genre filter dropdown
+   * Take the search text, facets and sort from a view state and show them in the controls.
+   * Unknown sort keys fall back to the default.
+   * @param {Object} state - View state from readViewState
    */
-  populateGenreFilter() {
-    if (!this.elements.genreFilter) return;
+  restoreViewState(state) {
+    this.currentFilters = {
+      search: state.search,
+      facets: state.facets
+    };
     
-    const genres = new Set();
-    this.allBooks.forEach(book => {
-      if (book.subject && Array.isArray(book.subject)) {
-        book.subject.forEach(subject => {
-          if (subject && subject.trim()) {
-            // Clean up and categorize subjects
-            const cleanSubject = this.categorizeGenre(subject.trim());
-            if (cleanSubject) {
-              genres.add(cleanSubject);
-            }
-          }
-        });
-      }
-    });
-
-    const sortedGenres = Array.from(genres).sort();
-    this.elements.genreFilter.innerHTML = '<option value="">All Genres</option>';
+    this.currentSort = this.isSortAvailable(state.sort) ? state.sort : this.getDefaultSort();
     
-    sortedGenres.forEach(genre => {
-      const option = document.createElement('option');
-      option.value = genre;
-      option.textContent = genre;
-      this.elements.genreFilter.appendChild(option);
-    });
+    if (this.elements.searchInput) this.elements.searchInput.value = state.search;
+    this.updateSortSelect();
   }
 
   /**
-   * Categorize and clean genre names
-   * @param {string} subject - Raw subject from book data
-   * @returns {string|null} Cleaned genre name or null if should be excluded
-   */
-  categorizeGenre(subject) {
-    if (!subject || typeof subject !== 'string') return null;
-    
-    const lowerSubject = subject.toLowerCase().trim();
-    
-    // Skip very specific, technical, or overly long subjects
-    if (lowerSubject.length > 60 || 
-        lowerSubject.includes('--') || 
-        lowerSubject.includes('(') ||
-        lowerSubject.includes('juvenile') ||
-        lowerSubject.includes('accessible book') ||
-        lowerSubject.includes('large type books') ||
-        lowerSubject.includes('readers') ||
-        lowerSubject.includes('grade') ||
-        lowerSubject.match(/^\d+/) || // starts with numbers
-        lowerSubject.includes('bibliography') ||
-        lowerSubject.includes('indexes')) {
-      return null;
-    }
-
-    // Enhanced mapping for J.K. Rowling's works
-    const genreMapping = {
-      // Fantasy & Magic
-      'fantasy': 'Fantasy',
-      'magic': 'Fantasy',
-      'wizards': 'Fantasy',
-      'witches': 'Fantasy',
-      'magical': 'Fantasy',
-      'supernatural': 'Fantasy',
-      'mythology': 'Fantasy & Mythology',
-      'fairy tales': 'Fantasy & Fairy Tales',
-      
-      // Mystery & Detective
-      'detective': 'Mystery & Detective',
-      'mystery': 'Mystery & Detective',
-      'crime': 'Crime & Mystery',
-      'thriller': 'Thriller',
-      'suspense': 'Suspense',
-      'police': 'Crime & Detective',
-      
-      // Fiction categories
-      'fiction': 'Fiction',
-      'literary fiction': 'Literary Fiction',
-      'contemporary fiction': 'Contemporary Fiction',
-      'historical fiction': 'Historical Fiction',
-      'adventure': 'Adventure Fiction',
-      'romance': 'Romance',
-      
-      // Age categories
-      'children': 'Children\'s Literature',
-      'young adult': 'Young Adult Fiction',
-      'teen': 'Young Adult Fiction',
-      'juvenile fiction': 'Children\'s Fiction',
-      
-      // Non-fiction
-      'biography': 'Biography & Memoir',
-      'autobiography': 'Biography & Memoir',
-      'memoir': 'Biography & Memoir',
-      'biography & autobiography': 'Biography & Memoir',
-      
-      // Academic & Educational
-      'philosophy': 'Philosophy',
-      'psychology': 'Psychology',
-      'politics': 'Politics & Government',
-      'history': 'History',
-      'science': 'Science',
-      'education': 'Education',
-      'social': 'Social Issues',
-      'sociology': 'Social Sciences',
-      
-      // Specific themes
-      'friendship': 'Friendship & Relationships',
-      'coming of age': 'Coming of Age',
-      'school': 'School Stories',
-      'boarding school': 'School Stories',
-      'orphans': 'Family & Social Issues',
-      'families': 'Family Stories',
-      'london': 'British Literature',
-      'england': 'British Literature',
-      'british': 'British Literature',
-      'scotland': 'Scottish Literature',
-      
-      // Media adaptations
-      'film': 'Film Adaptations',
-      'movie': 'Film Adaptations',
-      'television': 'TV Adaptations',
-      'adaptation': 'Adaptations',
-      
-      // Writing & Literature
-      'authorship': 'Writing & Publishing',
-      'literary criticism': 'Literary Criticism',
-      'book clubs': 'Reading & Book Culture'
-    };
-
-    // Check for exact matches first
-    if (genreMapping[lowerSubject]) {
-      return genreMapping[lowerSubject];
-    }
-
-    // Check for partial matches
-    for (const [key, value] of Object.entries(genreMapping)) {
-      if (lowerSubject.includes(key)) {
-        return value;
-      }
-    }
-
-    // Special handling for compound subjects
-    if (lowerSubject.includes(' and ')) {
-      const parts = lowerSubject.split(' and ');
-      for (const part of parts) {
-        const trimmedPart = part.trim();
-        if (genreMapping[trimmedPart]) {
-          return genreMapping[trimmedPart];
-        }
-      }
-    }
-
-    // Handle "in literature" subjects
-    if (lowerSubject.includes(' in literature')) {
-      const theme = lowerSubject.replace(' in literature', '').trim();
-      return `${this.capitalizeFirst(theme)} in Literature`;
-    }
-
-    // If no mapping found and it's a reasonable length, clean it up
-    if (subject.length <= 40 && !lowerSubject.includes('/') && !lowerSubject.includes(',')) {
-      // Clean up the subject
-      return subject
-        .split(' ')
-        .map(word => this.capitalizeFirst(word))
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-    }
-
-    return null;
+   * Write the search text, facets and sort to the query string
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Replace the current history entry; used while typing
+   *   so each keystroke does not become a step in the back button's history
+   */
+  updateUrl({ replace = false } = {}) {
+    writeViewState({
+      search: this.currentFilters.search,
+      sort: this.currentSort,
+      facets: this.currentFilters.facets
+    }, { defaultSort: this.getDefaultSort(), replace });
   }
 
   /**
    * Apply all filters to the books
+   * @param {boolean} keepRendered - Keep the number of rendered cards (e.g. when more books
+   *   arrive) instead of starting again from the first batch
    */
-  applyFilters() {
+  applyFilters(keepRendered = false) {
+    if (!keepRendered) {
+      this.renderLimit = this.renderBatchSize;
+    }
+    
     // Add filtering class for animation
     this.elements.booksContainer.classList.add('filtering');
     
     setTimeout(() => {
-      let filtered = [...this.allBooks];
-      
-      // Apply search filter
-      if (this.currentFilters.search.trim()) {
-        filtered = this.applySearchFilter(filtered, this.currentFilters.search);
-      }
-      
-      // Apply language filter
-      if (this.currentFilters.language) {
-        filtered = filtered.filter(book => 
-          book.language && book.language.includes(this.currentFilters.language)
-        );
-      }
-      
-      // Apply year filter
-      if (this.currentFilters.year) {
-        filtered = filtered.filter(book => 
-          book.first_publish_year && book.first_publish_year.toString() === this.currentFilters.year
-        );
-      }
-      
-      // Apply genre filter
-      if (this.currentFilters.genre) {
-        filtered = filtered.filter(book => {
-          if (!book.subject) return false;
-          return book.subject.some(subject => {
-            const cleanSubject = this.categorizeGenre(subject);
-            return cleanSubject === this.currentFilters.genre;
-          });
-        });
-      }
+      // Facet counts follow the search text; the grid also follows the selected facets
+      const index = indexFacetValues(this.getSearchedBooks());
+      const filtered = this.sortBooks(filterByFacets(index, this.currentFilters.facets));
       
       this.filteredBooks = filtered;
       this.displayFilteredBooks(filtered);
+      this.updateFacets(index);
       this.updateSearchResults();
       this.updateClearButtonVisibility();
       
@@ -725,18 +777,50 @@ export class BooksPageManager {
   }
 
   /**
-   * Apply search filter to books
-   * @param {Array} books - Books to filter
-   * @param {string} query - Search query
-   * @returns {Array} Filtered books
-   */
-  applySearchFilter(books, query) {
-    return books.filter(book => {
-      return this.fuzzySearch(query, book.title) ||
-             (book.first_publish_year && query.includes(book.first_publish_year.toString())) ||
-             (book.subject && book.subject.some(subject => this.fuzzySearch(query, subject))) ||
-             (book.subtitle && this.fuzzySearch(query, book.subtitle));
-    });
+   * Sort books by the selected sort key
+   * @param {Book[]} books - Books to sort
+   * @returns {Book[]} Sorted copy
+   */
+  sortBooks(books) {
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+    const byNewest = (a, b) => (b.year || 0) - (a.year || 0) || byTitle(a, b);
+
+    const comparators = {
+      newest: byNewest,
+      oldest: (a, b) => (a.year || Infinity) - (b.year || Infinity) || byTitle(a, b),
+      title: byTitle,
+      rating: (a, b) => this.getRatingScore(b) - this.getRatingScore(a) || byNewest(a, b),
+      popularity: (a, b) => this.getPopularity(b) - this.getPopularity(a) || byNewest(a, b),
+      relevance: (a, b) => (this.searchScores.get(b) || 0) - (this.searchScores.get(a) || 0) || byNewest(a, b),
+      series: (a, b) => compareSeriesOrder(a, b) || (a.year || Infinity) - (b.year || Infinity) || byTitle(a, b)
+    };
+
+    return [...books].sort(comparators[this.currentSort] || comparators[DEFAULT_SORT]);
+  }
+
+  /**
+   * Score a book for the rating sort
+   * @param {Book} book - Book
+   * @returns {number} Weighted average rating, or -1 when unrated
+   */
+  getRatingScore(book) {
+    if (!book.rating) return -1;
+    
+    const { average, count } = book.rating;
+    return (average * count + RATING_PRIOR.average * RATING_PRIOR.weight) / (count + RATING_PRIOR.weight);
+  }
+
+  /**
+   * Score a book for the popularity sort
+   * @param {Book} book - Book
+   * @returns {number} Reading-log total, falling back to the rating count
+   */
+  getPopularity(book) {
+    if (book.readingLog) {
+      const { wantToRead, currentlyReading, alreadyRead } = book.readingLog;
+      return wantToRead + currentlyReading + alreadyRead;
+    }
+    return book.rating?.count || 0;
   }
 
   /**
@@ -744,21 +828,21 @@ export class BooksPageManager {
    */
   clearAllFilters() {
     // Reset filter values
+    if (this.currentSort === this.getDefaultSort()) {
+      this.currentSort = DEFAULT_SORT;
+    }
     this.currentFilters = {
       search: '',
-      language: '',
-      year: '',
-      genre: ''
+      facets: createFacetSelection()
     };
+    this.updateSortSelect();
     
-    // Reset UI elements
+    // Reset UI elements; the facet panel redraws when the filters are applied
     if (this.elements.searchInput) this.elements.searchInput.value = '';
-    if (this.elements.languageFilter) this.elements.languageFilter.value = '';
-    if (this.elements.yearFilter) this.elements.yearFilter.value = '';
-    if (this.elements.genreFilter) this.elements.genreFilter.value = '';
     
     // Apply filters (which will show all books)
     this.applyFilters();
+    this.updateUrl();
   }
 
   /**
@@ -778,7 +862,7 @@ export class BooksPageManager {
     if (!this.elements.searchResults) return;
 
     const query = this.currentFilters.search;
-    const hasActiveFilters = this.currentFilters.language || this.currentFilters.year || this.currentFilters.genre;
+    const hasActiveFilters = hasFacetSelection(this.currentFilters.facets);
     const filteredCount = this.filteredBooks.length;
     const totalCount = this.allBooks.length;
 
@@ -794,63 +878,51 @@ export class BooksPageManager {
         ? `<span style="color: #e74c3c;">No books found matching your criteria</span>`
         : '';
     } else if (filteredCount === totalCount) {
-      resultText = `Showing all ${totalCount} books`;
+      resultText = `Showing all ${totalCount} ${this.pagination.hasMore ? 'loaded ' : ''}books`;
     } else {
       const filterDesc = [];
-      if (query) filterDesc.push(`search "${query}"`);
-      if (this.currentFilters.language) filterDesc.push(`language "${this.getLanguageName(this.currentFilters.language)}"`);
-      if (this.currentFilters.year) filterDesc.push(`year ${this.currentFilters.year}`);
-      if (this.currentFilters.genre) filterDesc.push(`genre "${this.currentFilters.genre}"`);
+      if (query) filterDesc.push(`search "${escapeHtml(query)}"`);
+      FACETS.forEach(facet => {
+        const values = this.currentFilters.facets[facet.id];
+        if (values.length > 0) {
+          filterDesc.push(`${facet.label.toLowerCase()} ${values.map(value => `"${escapeHtml(facet.format(value))}"`).join(' or ')}`);
+        }
+      });
       
-      resultText = `Found ${filteredCount} of ${totalCount} books`;
+      resultText = `Found ${filteredCount} of ${totalCount} ${this.pagination.hasMore ? 'loaded ' : ''}books`;
       if (filterDesc.length > 0) {
         resultText += ` for ${filterDesc.join(', ')}`;
       }
     }
     
-    this.elements.searchResults.innerHTML = resultText;
-  }
-
-  /**
-   * Fuzzy search implementation
-   * @param {string} query - Search query
-   * @param {string} text - Text to search in
-   * @returns {boolean} True if match found
-   */
-  fuzzySearch(query, text) {
-    if (!query || !text) return false;
-    
-    query = query.toLowerCase();
-    text = text.toLowerCase();
-    
-    if (text.includes(query)) return true;
-    
-    let queryIndex = 0;
-    let textIndex = 0;
-    let matches = 0;
-    
-    while (queryIndex < query.length && textIndex < text.length) {
-      if (query[queryIndex] === text[textIndex]) {
-        matches++;
-        queryIndex++;
-      }
-      textIndex++;
+    if (this.queryError) {
+      const fallback = this.queryError instanceof EmptyQueryError
+        ? 'Search for words or numbers'
+        : 'Showing plain-text matches';
+      resultText = `<span class="search-error">${escapeHtml(this.queryError.message)}.</span> ` +
+        `<span class="search-hint">${fallback}. Try e.g. ${escapeHtml(QUERY_EXAMPLE)}</span>` +
+        (resultText ? `<br>${resultText}` : '');
     }
     
-    return (matches / query.length) >= 0.7;
+    this.elements.searchResults.innerHTML = resultText;
   }
 
   /**
-   * Highlight search terms in text
-   * @param {string} text - Text to highlight
-   * @param {string} query - Search query
-   * @returns {string} Text with highlighted terms
+   * Highlight the words of a text that the current search matched
+   * @param {string} text - Plain text
+   * @returns {string} Escaped HTML with matched words highlighted
    */
-  highlightSearchTerm(text, query) {
-    if (!query || !text) return text;
+  highlightSearchTerms(text) {
+    if (!text) return '';
+    if (this.searchTerms.size === 0) return escapeHtml(text);
     
-    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    return text.replace(regex, '<span class="search-highlight">$1</span>');
+    // Odd parts are words, split the way the search index splits them
+    return text.split(/([\p{L}\p{N}'’]+)/u).map((part, index) => {
+      const html = escapeHtml(part);
+      return index % 2 === 1 && this.searchTerms.has(stem(foldText(part)))
+        ? `<span class="search-highlight">${html}</span>`
+        : html;
+    }).join('');
   }
 
   /**
@@ -869,10 +941,73 @@ export class BooksPageManager {
     
     const countElement = document.createElement('p');
     countElement.className = 'books-count';
-    countElement.textContent = `Showing ${count} individual books by J.K. Rowling`;
+    countElement.textContent = formatAuthorCopy(authorProfile.copy.booksCount, { count });
     this.elements.booksContainer.parentNode.insertBefore(countElement, this.elements.booksContainer);
   }
 
+  /**
+   * Update the "last updated" timestamp display
+   * @param {number} timestamp - Time the book data was fetched
+   */
+  updateLastUpdated(timestamp) {
+    if (!this.elements.lastUpdated || !timestamp) return;
+
+    const date = new Date(timestamp);
+    this.elements.lastUpdated.textContent = `Last updated ${date.toLocaleString()}`;
+    this.elements.lastUpdated.setAttribute('datetime', date.toISOString());
+  }
+
+  /**
+   * Update the "load more" status line and the "load all" button
+   */
+  updateLoadMore() {
+    const { loadMore, loadMoreStatus, loadAllBtn } = this.elements;
+    if (!loadMore) return;
+
+    const { hasMore, isLoading } = this.pagination;
+    const hasUnrenderedBooks = this.renderedCount < this.filteredBooks.length;
+
+    if (this.allBooks.length === 0 || (!hasMore && !hasUnrenderedBooks && !this.loadError)) {
+      loadMore.style.display = 'none';
+      return;
+    }
+
+    let status;
+    if (this.loadError) {
+      status = "Couldn't load more books. Please try again.";
+    } else if (isLoading || this.isLoadingAll) {
+      status = `Loading more books... ${this.allBooks.length} loaded so far`;
+    } else if (hasMore) {
+      status = `${this.allBooks.length} books loaded, more available`;
+    } else {
+      status = `Showing ${this.renderedCount} of ${this.filteredBooks.length} books`;
+    }
+
+    if (loadMoreStatus) loadMoreStatus.textContent = status;
+    if (loadAllBtn) {
+      loadAllBtn.disabled = this.isLoadingAll;
+      loadAllBtn.textContent = this.loadError ? 'Try again' : 'Load all books';
+    }
+    loadMore.style.display = 'block';
+  }
+
+  /**
+   * Show or hide the "service degraded" banner based on Open Library's circuit state
+   */
+  updateServiceStatus() {
+    if (!this.elements.serviceStatus) return;
+
+    if (!isOpenLibraryDegraded()) {
+      this.elements.serviceStatus.style.display = 'none';
+      return;
+    }
+
+    this.elements.serviceStatus.textContent = this.allBooks.length > 0
+      ? 'Open Library is having trouble right now. Showing cached data.'
+      : 'Open Library is having trouble right now. Please try again in a moment.';
+    this.elements.serviceStatus.style.display = 'block';
+  }
+
   /**
    * Show no results message
    */
@@ -910,6 +1045,7 @@ export class BooksPageManager {
     this.elements.loading.style.display = 'none';
     this.elements.error.style.display = 'block';
     this.elements.booksContainer.style.display = 'none';
+    this.updateServiceStatus();
   }
 
   /**
@@ -955,7 +1091,7 @@ export class BooksPageManager {
   /**
    * Get cached description for a book
    * @param {Object} book - Book object
-   * @returns {string|null} Cached description or null
+   * @returns {Object|null} Cached { text, source, label } description or null
    */
   getCachedDescription(book) {
     const cacheKey = this.getBookCacheKey(book);
@@ -968,6 +1104,6 @@ export class BooksPageManager {
    * @returns {string} Cache key
    */
   getBookCacheKey(book) {
-    return `${book.title}_${book.first_publish_year || 'unknown'}`;
+    return `${book.title}_${book.year || 'unknown'}`;
   }
 }
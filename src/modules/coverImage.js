@@ -0,0 +1,202 @@
+/**
+ * Cover image component.
+ * Renders Open Library covers with a srcset across the S/M/L sizes, native lazy loading and a
+ * blurred preview of the small cover while the full image loads. Books without a cover, and
+ * covers that fail to load, get a locally generated SVG showing the title and year.
+ */
+
+import { getCoverUrl } from './apiService.js';
+import { escapeHtml } from './utils.js';
+
+// Approximate widths of Open Library's cover sizes, used as srcset descriptors
+const COVER_WIDTHS = { S: 60, M: 180, L: 500 };
+
+// Intrinsic size hint so lazy images reserve space before they load (2:3 book proportions)
+const COVER_DIMENSIONS = { width: 300, height: 450 };
+
+const PLACEHOLDER_LINE_LENGTH = 18;
+const PLACEHOLDER_MAX_LINES = 5;
+
+/**
+ * Where a cover is shown, with the matching `sizes` attribute
+ */
+export const CoverSizes = Object.freeze({
+  GRID: '(max-width: 600px) 50vw, 220px',
+  CAROUSEL: '(max-width: 600px) 60vw, 250px',
+  MODAL: '(max-width: 768px) 60vw, 320px'
+});
+
+/**
+ * Render a cover image
+ * @param {Book} book - Book whose cover to show
+ * @param {Object} options - Options
+ * @param {string} options.sizes - `sizes` attribute, usually one of CoverSizes
+ * @param {boolean} options.eager - Load immediately (for covers above the fold)
+ * @param {string} options.className - Extra class for the wrapper
+ * @returns {string} HTML
+ */
+export function renderCoverImage(book, { sizes = CoverSizes.GRID, eager = false, className = '' } = {}) {
+  const placeholder = createCoverPlaceholder(book);
+  const classes = ['cover-image', className].filter(Boolean).join(' ');
+  const alt = escapeHtml(`Cover of ${book.title}`);
+
+  if (!book.coverId) {
+    return `
+      <div class="${classes} is-loaded">
+        <img src="${placeholder}" alt="${alt}" width="${COVER_DIMENSIONS.width}" height="${COVER_DIMENSIONS.height}">
+      </div>
+    `;
+  }
+
+  return `
+    <div class="${classes}" style="--cover-preview: url('${getCoverUrl(book.coverId, 'S')}')">
+      <img
+        src="${getCoverUrl(book.coverId, 'M')}"
+        srcset="${getCoverSrcset(book.coverId)}"
+        sizes="${sizes}"
+        alt="${alt}"
+        width="${COVER_DIMENSIONS.width}"
+        height="${COVER_DIMENSIONS.height}"
+        loading="${eager ? 'eager' : 'lazy'}"
+        decoding="async"
+        data-cover-placeholder="${placeholder}">
+    </div>
+  `;
+}
+
+/**
+ * Point an existing <img> (e.g. in a modal) at a book's cover. If the image sits in a
+ * .cover-image wrapper, the wrapper's blur-up preview is updated too.
+ * @param {HTMLImageElement} img - Image element
+ * @param {Book} book - Book whose cover to show
+ * @param {Object} options - Options
+ * @param {string} options.sizes - `sizes` attribute
+ */
+export function setCoverImage(img, book, { sizes = CoverSizes.MODAL } = {}) {
+  if (!img) return;
+
+  const wrapper = img.closest('.cover-image');
+  const placeholder = createCoverPlaceholder(book);
+  img.alt = `Cover of ${book.title}`;
+
+  if (!book.coverId) {
+    img.removeAttribute('srcset');
+    img.src = placeholder;
+    wrapper?.classList.add('is-loaded');
+    wrapper?.style.removeProperty('--cover-preview');
+    return;
+  }
+
+  wrapper?.classList.remove('is-loaded');
+  wrapper?.style.setProperty('--cover-preview', `url('${getCoverUrl(book.coverId, 'S')}')`);
+  img.dataset.coverPlaceholder = placeholder;
+  img.sizes = sizes;
+  img.srcset = getCoverSrcset(book.coverId);
+  img.src = getCoverUrl(book.coverId, 'M');
+}
+
+/**
+ * Build a local SVG cover showing the title and year
+ * @param {Book} book - Book
+ * @returns {string} SVG data URL
+ */
+export function createCoverPlaceholder(book) {
+  const { width, height } = COVER_DIMENSIONS;
+  const lines = wrapTitle(book.title || 'Untitled');
+  const lineHeight = 30;
+  const firstLineY = height / 2 - ((lines.length - 1) * lineHeight) / 2 - 20;
+
+  const titleText = lines.map((line, index) => (
+    `<text x="${width / 2}" y="${firstLineY + index * lineHeight}" font-family="Georgia, serif" font-size="22" fill="#4a4036" text-anchor="middle">${escapeXml(line)}</text>`
+  )).join('');
+
+  const yearText = book.year
+    ? `<text x="${width / 2}" y="${firstLineY + lines.length * lineHeight + 20}" font-family="Arial, sans-serif" font-size="16" fill="#8B7D6B" text-anchor="middle">${book.year}</text>`
+    : '';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" fill="#f3eee6"/>` +
+    `<rect x="14" y="14" width="${width - 28}" height="${height - 28}" fill="none" stroke="#d8cfc2" stroke-width="2"/>` +
+    titleText +
+    yearText +
+    '</svg>';
+
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Build the srcset for a cover across Open Library's sizes
+ * @param {number} coverId - Cover ID
+ * @returns {string} srcset value
+ */
+function getCoverSrcset(coverId) {
+  return Object.entries(COVER_WIDTHS)
+    .map(([size, width]) => `${getCoverUrl(coverId, size)} ${width}w`)
+    .join(', ');
+}
+
+/**
+ * Split a title into lines for the placeholder, truncating very long titles
+ * @param {string} title - Title
+ * @returns {string[]} Lines
+ */
+function wrapTitle(title) {
+  const lines = [];
+  let current = '';
+
+  title.split(/\s+/).forEach(word => {
+    if (current && `${current} ${word}`.length > PLACEHOLDER_LINE_LENGTH) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > PLACEHOLDER_MAX_LINES) {
+    lines.length = PLACEHOLDER_MAX_LINES;
+    lines[PLACEHOLDER_MAX_LINES - 1] = `${lines[PLACEHOLDER_MAX_LINES - 1].replace(/\s*\S*$/, '')}…`;
+  }
+  return lines;
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Fade covers in once loaded and swap failed covers for their placeholder.
+ * Load and error events do not bubble, so they are caught on the way down instead;
+ * this covers images added later through innerHTML without binding each one.
+ */
+function handleCoverEvent(event) {
+  const img = event.target;
+  if (!(img instanceof HTMLImageElement)) return;
+
+  const wrapper = img.closest('.cover-image');
+  if (!wrapper) return;
+
+  if (event.type === 'error' && img.dataset.coverPlaceholder && img.src !== img.dataset.coverPlaceholder) {
+    img.removeAttribute('srcset');
+    img.src = img.dataset.coverPlaceholder;
+    wrapper.style.removeProperty('--cover-preview');
+    return;
+  }
+
+  wrapper.classList.add('is-loaded');
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('load', handleCoverEvent, true);
+  document.addEventListener('error', handleCoverEvent, true);
+}
@@ -0,0 +1,135 @@
+/**
+ * Registry of book description providers.
+ * Providers are tried from highest to lowest priority; each runs under its own timeout and
+ * its output must pass a quality check before it is used. Results carry the provider that
+ * produced them so the UI can say where a description came from.
+ */
+
+/**
+ * Built-in provider IDs
+ */
+export const DescriptionSource = Object.freeze({
+  CURATED: 'curated',
+  OPEN_LIBRARY: 'openlibrary',
+  DATASET: 'dataset',
+  LLM: 'llm',
+  TEMPLATE: 'template'
+});
+
+const DEFAULT_TIMEOUT = 5000;
+const MIN_DESCRIPTION_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 3000;
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a description provider
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.id - Unique ID, reported as the description's source
+ * @param {string} provider.label - Label shown next to the description, e.g. "from Open Library"
+ * @param {number} provider.priority - Higher priorities are tried first
+ * @param {number} provider.timeout - Milliseconds before the provider is skipped
+ * @param {Function} provider.fetch - async (book, { signal }) => string|null
+ * @param {Function} provider.isEnabled - () => boolean; disabled providers are skipped
+ * @param {Function} provider.isAcceptable - (text, book) => boolean; defaults to isQualityDescription
+ */
+export function registerDescriptionProvider(provider) {
+  if (!provider?.id || typeof provider.fetch !== 'function') {
+    throw new Error('A description provider needs an id and a fetch function');
+  }
+
+  providers.set(provider.id, {
+    label: '',
+    priority: 0,
+    timeout: DEFAULT_TIMEOUT,
+    isEnabled: () => true,
+    isAcceptable: isQualityDescription,
+    ...provider
+  });
+}
+
+/**
+ * Remove a registered provider
+ * @param {string} id - Provider ID
+ */
+export function unregisterDescriptionProvider(id) {
+  providers.delete(id);
+}
+
+/**
+ * Get registered providers, highest priority first
+ * @returns {Array} Providers
+ */
+export function getDescriptionProviders() {
+  return [...providers.values()].sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Default quality check: long enough to say something, short enough for the modal,
+ * and not a bare repeat of the title
+ * @param {string} text - Candidate description
+ * @param {Object} book - Book being described
+ * @returns {boolean} True if the text is usable
+ */
+export function isQualityDescription(text, book) {
+  if (typeof text !== 'string') return false;
+
+  const trimmed = text.trim();
+  if (trimmed.length < MIN_DESCRIPTION_LENGTH || trimmed.length > MAX_DESCRIPTION_LENGTH) {
+    return false;
+  }
+
+  if (!/[a-z]/.test(trimmed) || /\b(undefined|null|lorem ipsum)\b/i.test(trimmed)) {
+    return false;
+  }
+
+  return trimmed.toLowerCase() !== book?.title?.trim().toLowerCase();
+}
+
+/**
+ * Ask each enabled provider in priority order for a description
+ * @param {Object} book - Book to describe
+ * @returns {Promise<Object>} { text, source, label }
+ * @throws {Error} When no provider returns an acceptable description
+ */
+export async function resolveDescription(book) {
+  for (const provider of getDescriptionProviders()) {
+    if (!provider.isEnabled()) continue;
+
+    try {
+      const text = await runWithTimeout(provider, book);
+      if (text && provider.isAcceptable(text, book)) {
+        return {
+          text: text.trim(),
+          source: provider.id,
+          label: provider.label
+        };
+      }
+    } catch (error) {
+      console.warn(`Description provider "${provider.id}" failed for ${book.title}:`, error.message);
+    }
+  }
+
+  throw new Error(`No description available for ${book.title}`);
+}
+
+/**
+ * Run a provider, aborting it when its timeout passes
+ * @param {Object} provider - Provider
+ * @param {Object} book - Book to describe
+ * @returns {Promise<string|null>} Provider output
+ */
+function runWithTimeout(provider, book) {
+  const controller = new AbortController();
+  let timeoutId;
+
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${provider.timeout}ms`));
+    }, provider.timeout);
+  });
+
+  return Promise.race([provider.fetch(book, { signal: controller.signal }), timeout])
+    .finally(() => clearTimeout(timeoutId));
+}
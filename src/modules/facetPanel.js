@@ -0,0 +1,207 @@
+/**
+ * Facet panel for the books page: a checkbox list with live counts for each facet, and a
+ * chip for every selected value
+ */
+
+import { FACETS, getFacet } from './facets.js';
+import { addEvent, escapeHtml } from './utils.js';
+
+const FACET_OPTION_LIMIT = 8; // Options shown per facet before "Show all"
+
+/**
+ * Facet Panel
+ */
+export class FacetPanel {
+  /**
+   * @param {Object} elements - Panel elements
+   * @param {HTMLElement} elements.panel - Container for the facet groups
+   * @param {HTMLElement} elements.chips - Container for the active-filter chips
+   * @param {Function} onToggle - Called with (facetId, value, selected) when the visitor
+   *   ticks an option or removes a chip
+   */
+  constructor({ panel, chips }, onToggle) {
+    this.panel = panel;
+    this.chips = chips;
+    this.onToggle = onToggle;
+    this.expanded = new Set(); // Facets showing every option
+    this.lastRender = null; // Counts and selection from the last render, for "Show all"
+  }
+
+  /**
+   * Listen for option, "Show all" and chip clicks
+   */
+  init() {
+    addEvent(this.panel, 'change', (event) => {
+      const input = event.target.closest('input[data-facet]');
+      if (input) {
+        this.onToggle(input.dataset.facet, input.value, input.checked);
+      }
+    });
+
+    addEvent(this.panel, 'click', (event) => {
+      const toggle = event.target.closest('[data-facet-more]');
+      if (!toggle) return;
+
+      const facetId = toggle.dataset.facetMore;
+      if (this.expanded.has(facetId)) {
+        this.expanded.delete(facetId);
+      } else {
+        this.expanded.add(facetId);
+      }
+      if (this.lastRender) {
+        this.render(this.lastRender.counts, this.lastRender.selection);
+      }
+    });
+
+    addEvent(this.chips, 'click', (event) => {
+      const chip = event.target.closest('[data-facet]');
+      if (chip) {
+        this.onToggle(chip.dataset.facet, chip.dataset.value, false);
+      }
+    });
+  }
+
+  /**
+   * Render the facet groups and chips
+   * @param {Map<string, Map<string, number>>} counts - Live counts from countFacetValues
+   * @param {Object<string, string[]>} selection - Selected values by facet ID
+   */
+  render(counts, selection) {
+    if (!this.panel) return;
+
+    this.lastRender = { counts, selection };
+    const focused = this.getFocusedControl();
+
+    this.panel.innerHTML = FACETS
+      .map(facet => this.renderGroup(facet, counts.get(facet.id) || new Map(), selection[facet.id] || []))
+      .join('');
+    this.renderChips(selection);
+
+    this.restoreFocus(focused);
+  }
+
+  /**
+   * Render one facet's options. Options with no books are left out unless selected.
+   * @param {Object} facet - Facet definition
+   * @param {Map<string, number>} counts - Counts by value
+   * @param {string[]} selected - Selected values
+   * @returns {string} HTML, or '' when the facet has no options
+   */
+  renderGroup(facet, counts, selected) {
+    const available = new Set([...counts.keys(), ...selected]);
+    const values = facet.sort(Array.from(available), counts)
+      .filter(value => counts.get(value) || selected.includes(value));
+    if (values.length === 0) return '';
+
+    const expanded = this.expanded.has(facet.id);
+    const visible = values.filter((value, index) =>
+      expanded || index < FACET_OPTION_LIMIT || selected.includes(value));
+
+    const options = visible.map(value => {
+      const count = counts.get(value) || 0;
+      const isChild = facet.isChild?.(value);
+      return `
+        <li class="facet-option${isChild ? ' is-child' : ''}">
+          <label>
+            <input type="checkbox" data-facet="${facet.id}" value="${escapeAttribute(value)}"${selected.includes(value) ? ' checked' : ''}>
+            <span class="facet-option-label">${escapeHtml(facet.format(value))}</span>
+            <span class="facet-count">${count}</span>
+          </label>
+        </li>
+      `;
+    }).join('');
+
+    const moreButton = values.length > FACET_OPTION_LIMIT
+      ? `<button type="button" class="facet-more" data-facet-more="${facet.id}" aria-expanded="${expanded}">
+           ${expanded ? 'Show fewer' : `Show all ${values.length}`}
+         </button>`
+      : '';
+
+    return `
+      <fieldset class="facet-group">
+        <legend class="facet-title">${escapeHtml(facet.label)}</legend>
+        <ul class="facet-options">${options}</ul>
+        ${moreButton}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render a removable chip for each selected value
+   * @param {Object<string, string[]>} selection - Selected values by facet ID
+   */
+  renderChips(selection) {
+    if (!this.chips) return;
+
+    const chips = Object.entries(selection).flatMap(([facetId, values]) => {
+      const facet = getFacet(facetId);
+      if (!facet) return [];
+
+      return values.map(value => {
+        const text = `${facet.label}: ${facet.format(value)}`;
+        return `
+          <button type="button" class="filter-chip" data-facet="${facet.id}" data-value="${escapeAttribute(value)}" aria-label="Remove ${escapeAttribute(text)}">
+            ${escapeHtml(text)}
+            <span class="filter-chip-remove" aria-hidden="true">&times;</span>
+          </button>
+        `;
+      });
+    });
+
+    this.chips.innerHTML = chips.join('');
+    this.chips.hidden = chips.length === 0;
+  }
+
+  /**
+   * Identify the focused checkbox or chip so focus survives a re-render
+   * @returns {Object|null} { isChip, facetId, value, index }
+   */
+  getFocusedControl() {
+    const active = document.activeElement;
+    if (!active?.dataset?.facet) return null;
+
+    const isChip = this.chips?.contains(active);
+    if (!isChip && !this.panel.contains(active)) return null;
+
+    return {
+      isChip,
+      facetId: active.dataset.facet,
+      value: isChip ? active.dataset.value : active.value,
+      index: isChip ? Array.from(this.chips.children).indexOf(active) : -1
+    };
+  }
+
+  /**
+   * Focus the control that had focus before a re-render. A removed chip hands focus to the
+   * chip that took its place, or to the matching checkbox when no chips are left.
+   * @param {Object|null} focused - Result of getFocusedControl
+   */
+  restoreFocus(focused) {
+    if (!focused) return;
+
+    const matches = (element) => element.dataset.facet === focused.facetId &&
+      (focused.isChip ? element.dataset.value : element.value) === focused.value;
+
+    if (focused.isChip) {
+      const chips = Array.from(this.chips.children);
+      const target = chips.find(matches) || chips[Math.min(focused.index, chips.length - 1)];
+      if (target) {
+        target.focus();
+        return;
+      }
+    }
+
+    const checkbox = Array.from(this.panel.querySelectorAll('input[data-facet]'))
+      .find(input => input.dataset.facet === focused.facetId && input.value === focused.value);
+    checkbox?.focus();
+  }
+}
+
+/**
+ * Escape text for use inside a double-quoted attribute
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
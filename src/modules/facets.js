@@ -0,0 +1,156 @@
+/**
+ * Facets for the books page: the fields books can be narrowed by, and the matching and
+ * counting behind the facet panel.
+ * Values selected within one facet are alternatives (French or German); facets combine
+ * (French and 2000s). Each facet's counts apply every other facet, so they show how many
+ * books ticking that option would add.
+ */
+
+import { getLanguageName, compareLanguages } from './languages.js';
+import { compareSeriesNames } from './series.js';
+import { getBookGenres, getParentGenre, sortGenres } from './taxonomy.js';
+
+export const NO_SERIES = '__none__'; // Series value for books outside any series
+
+/**
+ * Facet definitions, in panel order
+ * - param: query-string parameter holding the facet's selected values
+ * - values: the facet values a book has
+ * - format: label shown for a value
+ * - sort: order of values in the panel, given the live counts
+ * - isChild: values shown indented under the value before them
+ */
+export const FACETS = [
+  {
+    id: 'genre',
+    param: 'genre',
+    label: 'Genre',
+    values: book => getBookGenres(book, { includeParents: true }),
+    format: genre => genre,
+    sort: genres => sortGenres(genres),
+    isChild: genre => Boolean(getParentGenre(genre))
+  },
+  {
+    id: 'language',
+    param: 'lang',
+    label: 'Language',
+    values: book => book.languages,
+    format: code => getLanguageName(code),
+    sort: codes => [...codes].sort(compareLanguages)
+  },
+  {
+    id: 'decade',
+    param: 'decade',
+    label: 'Decade',
+    values: book => (book.year ? [String(Math.floor(book.year / 10) * 10)] : []),
+    format: decade => `${decade}s`,
+    sort: decades => [...decades].sort((a, b) => b - a)
+  },
+  {
+    id: 'series',
+    param: 'series',
+    label: 'Series',
+    values: book => [book.series || NO_SERIES],
+    format: series => (series === NO_SERIES ? 'Not in a series' : series),
+    // Standalone books last
+    sort: names => [...names].sort((a, b) =>
+      Number(a === NO_SERIES) - Number(b === NO_SERIES) || compareSeriesNames(a, b))
+  },
+  {
+    id: 'publisher',
+    param: 'publisher',
+    label: 'Publisher',
+    values: book => book.publishers,
+    format: publisher => publisher,
+    // Open Library lists many publishers; the busiest come first
+    sort: (publishers, counts) => [...publishers].sort((a, b) =>
+      (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b))
+  }
+];
+
+/**
+ * Create a selection with nothing selected
+ * @returns {Object<string, string[]>} Selected values by facet ID
+ */
+export function createFacetSelection() {
+  return Object.fromEntries(FACETS.map(facet => [facet.id, []]));
+}
+
+/**
+ * Check whether any facet value is selected
+ * @param {Object<string, string[]>} selection - Selected values by facet ID
+ * @returns {boolean} True if at least one value is selected
+ */
+export function hasFacetSelection(selection) {
+  return FACETS.some(facet => (selection[facet.id] || []).length > 0);
+}
+
+/**
+ * Find a facet definition
+ * @param {string} id - Facet ID
+ * @returns {Object|null} Facet definition
+ */
+export function getFacet(id) {
+  return FACETS.find(facet => facet.id === id) || null;
+}
+
+/**
+ * Work out every facet's values for a list of books, so filtering and counting share one pass
+ * @param {Book[]} books - Books
+ * @returns {Array<{book: Book, values: Object<string, Set<string>>}>} Books with their values
+ */
+export function indexFacetValues(books) {
+  return books.map(book => ({
+    book,
+    values: Object.fromEntries(FACETS.map(facet => [facet.id, new Set(facet.values(book))]))
+  }));
+}
+
+/**
+ * Keep the books that match the selection
+ * @param {Array} index - Result of indexFacetValues
+ * @param {Object<string, string[]>} selection - Selected values by facet ID
+ * @returns {Book[]} Matching books
+ */
+export function filterByFacets(index, selection) {
+  return index.filter(entry => matchesSelection(entry, selection)).map(entry => entry.book);
+}
+
+/**
+ * Count the books for each facet value. A facet's counts ignore its own selection, so
+ * options stay visible while one of them is ticked.
+ * @param {Array} index - Result of indexFacetValues
+ * @param {Object<string, string[]>} selection - Selected values by facet ID
+ * @returns {Map<string, Map<string, number>>} Counts by facet ID, then by value
+ */
+export function countFacetValues(index, selection) {
+  const counts = new Map(FACETS.map(facet => [facet.id, new Map()]));
+
+  index.forEach(entry => {
+    FACETS.forEach(facet => {
+      if (!matchesSelection(entry, selection, facet.id)) return;
+
+      const facetCounts = counts.get(facet.id);
+      entry.values[facet.id].forEach(value => {
+        facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+      });
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Check an indexed book against every facet but one
+ * @param {Object} entry - Entry from indexFacetValues
+ * @param {Object<string, string[]>} selection - Selected values by facet ID
+ * @param {string|null} skipId - Facet to ignore
+ * @returns {boolean} True if the book matches
+ */
+function matchesSelection(entry, selection, skipId = null) {
+  return FACETS.every(facet => {
+    const selected = selection[facet.id] || [];
+    if (facet.id === skipId || selected.length === 0) return true;
+    return selected.some(value => entry.values[facet.id].has(value));
+  });
+}
@@ -2,8 +2,16 @@
  * Featured Books Carousel functionality
  */
 
-import { fetchBooksFromOpenLibrary } from './apiService.js';
+import {
+  fetchBooksFromOpenLibrary,
+  isOpenLibraryDegraded,
+  normalizeBook,
+  validateBook
+} from './apiService.js';
+import { getPrimaryAuthorId } from './authorProfile.js';
+import { CoverSizes, renderCoverImage } from './coverImage.js';
 import { FeaturedBooksModal } from './modals.js';
+import { escapeHtml } from './utils.js';
 
 /**
  * Featured Books Carousel Manager
@@ -72,13 +80,14 @@ export class FeaturedBooksCarousel {
     try {
       this.showLoading();
       
-      const data = await fetchBooksFromOpenLibrary('OL23919A', 50);
+      const data = await fetchBooksFromOpenLibrary(getPrimaryAuthorId(), 50);
       
       if (!data.entries || data.entries.length === 0) {
         throw new Error('No books found');
       }
       
-      const filteredBooks = this.filterBooks(data.entries);
+      const books = data.entries.map(work => normalizeBook(work, 'works'));
+      const filteredBooks = this.filterBooks(books);
       const selectedBooks = this.selectRandomBooks(filteredBooks, 8);
       
       this.booksData = selectedBooks;
@@ -94,14 +103,14 @@ export class FeaturedBooksCarousel {
 
   /**
    * Filter books to exclude invalid entries
-   * @param {Array} books - Raw books array
-   * @returns {Array} Filtered books
+   * @param {Book[]} books - Normalized books
+   * @returns {Book[]} Filtered books
    */
   filterBooks(books) {
     return books.filter(book => 
-      book.title && 
+      validateBook(book).valid && 
       !book.title.toLowerCase().includes('untitled') &&
-      book.covers && book.covers.length > 0
+      book.coverId
     );
   }
 
@@ -121,17 +130,11 @@ export class FeaturedBooksCarousel {
    */
   displayBooks(books) {
     this.container.innerHTML = books.map((book, index) => {
-      const coverUrl = book.covers && book.covers[0] 
-        ? `https://covers.openlibrary.org/b/id/${book.covers[0]}-L.jpg`
-        : '/public/vite.svg';
-      
       return `
         <div class="featured-book-card" data-book-index="${index}" onclick="openFeaturedBookDetails(${index})">
-          <div class="featured-book-image">
-            <img src="${coverUrl}" alt="${book.title}" onerror="this.src='/public/vite.svg'">
-          </div>
+          ${renderCoverImage(book, { sizes: CoverSizes.CAROUSEL, className: 'featured-book-image' })}
           <div class="featured-book-content">
-            <h3>${book.title}</h3>
+            <h3>${escapeHtml(book.title)}</h3>
           </div>
         </div>
       `;
@@ -283,5 +286,12 @@ export class FeaturedBooksCarousel {
   showError() {
     this.loading.style.display = 'none';
     this.error.style.display = 'block';
+
+    const message = this.error.querySelector('p');
+    if (message) {
+      message.textContent = isOpenLibraryDegraded()
+        ? 'Open Library is temporarily unavailable. Please try again in a moment.'
+        : 'Unable to load featured books';
+    }
   }
 }
@@ -0,0 +1,277 @@
+/**
+ * HTTP client with typed results, timeouts and a parsed-payload cache
+ */
+
+import { executeWithPolicy } from './resilience.js';
+
+const DEFAULT_TIMEOUT = 8000; // 8 seconds
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Cache of parsed responses, keyed by method + URL + body
+const responseCache = new Map();
+
+/**
+ * Error kinds reported on failed results
+ */
+export const ErrorKind = Object.freeze({
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted',
+  HTTP: 'http',
+  PARSE: 'parse',
+  CIRCUIT_OPEN: 'circuit-open'
+});
+
+/**
+ * Error thrown by getJson/postJson when a request does not succeed
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} result - Failed HttpResult
+   */
+  constructor(message, result) {
+    super(message);
+    this.name = 'HttpError';
+    this.kind = result.error?.kind || ErrorKind.HTTP;
+    this.status = result.status;
+    this.url = result.url;
+    this.result = result;
+  }
+}
+
+/**
+ * Perform an HTTP request and return a typed result instead of a raw Response.
+ * Transient failures are retried under the resilience policy unless `retry` is false.
+ * Never throws; failures are reported through `ok` and `error`.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Request headers
+ * @param {*} options.body - Request body; plain objects are sent as JSON
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {boolean} options.cache - Cache the parsed payload (default: GET only)
+ * @param {number} options.ttl - Cache lifetime in milliseconds
+ * @param {boolean} options.revalidate - Skip the payload cache and fetch with cache mode
+ *   'no-cache', which the service worker also answers from the network
+ * @param {string} options.responseType - 'json', 'text' or 'blob'
+ * @param {AbortSignal} options.signal - Caller abort signal
+ * @param {boolean|Object} options.retry - false to disable retries, or { retries, idempotent }
+ *   overrides; requests other than GET, HEAD, OPTIONS, PUT and DELETE are only retried with
+ *   idempotent: true
+ * @returns {Promise<Object>} HttpResult { ok, status, statusText, headers, data, error, url, fromCache }
+ */
+export async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    cache = method === 'GET',
+    ttl = DEFAULT_TTL,
+    revalidate = false,
+    signal,
+    retry = {}
+  } = options;
+
+  const isJsonBody = body !== null && typeof body === 'object' && !(body instanceof FormData);
+  const requestBody = isJsonBody ? JSON.stringify(body) : body;
+
+  const cacheKey = `${method} ${url} ${requestBody || ''}`;
+  if (cache && !revalidate) {
+    const cached = responseCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < ttl) {
+      return { ...cached.result, fromCache: true };
+    }
+  }
+
+  const attempt = () => performRequest(url, options);
+  const result = retry === false
+    ? await attempt()
+    : await executeWithPolicy(url, attempt, { ...retry, method, signal });
+
+  if (cache && result.ok) {
+    responseCache.set(cacheKey, { result, timestamp: Date.now() });
+  }
+
+  return result;
+}
+
+/**
+ * Perform a single request attempt
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options (see request)
+ * @returns {Promise<Object>} HttpResult
+ */
+async function performRequest(url, options) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = DEFAULT_TIMEOUT,
+    responseType = 'json',
+    revalidate = false,
+    signal
+  } = options;
+
+  const isJsonBody = body !== null && typeof body === 'object' && !(body instanceof FormData);
+  const requestBody = isJsonBody ? JSON.stringify(body) : body;
+  const requestHeaders = isJsonBody ? { 'Content-Type': 'application/json', ...headers } : headers;
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onCallerAbort = () => controller.abort();
+  signal?.addEventListener('abort', onCallerAbort);
+  if (signal?.aborted) controller.abort();
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: requestHeaders,
+      body: requestBody,
+      signal: controller.signal,
+      cache: revalidate ? 'no-cache' : 'default'
+    });
+  } catch (error) {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCallerAbort);
+
+    let kind = ErrorKind.NETWORK;
+    if (timedOut) {
+      kind = ErrorKind.TIMEOUT;
+    } else if (error.name === 'AbortError') {
+      kind = ErrorKind.ABORTED;
+    }
+
+    return createResult(url, {
+      error: { kind, message: timedOut ? `Request timed out after ${timeout}ms` : error.message }
+    });
+  }
+
+  const responseHeaders = headersToObject(response.headers);
+  let data = null;
+  let parseError = null;
+
+  try {
+    if (responseType === 'blob') {
+      data = await response.blob();
+    } else {
+      const text = await response.text();
+      data = responseType === 'json' && text ? JSON.parse(text) : text;
+    }
+  } catch (error) {
+    parseError = error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCallerAbort);
+  }
+
+  let error = null;
+  if (!response.ok) {
+    error = { kind: ErrorKind.HTTP, message: `HTTP error! status: ${response.status}` };
+  } else if (parseError) {
+    error = timedOut
+      ? { kind: ErrorKind.TIMEOUT, message: `Request timed out after ${timeout}ms` }
+      : { kind: ErrorKind.PARSE, message: parseError.message };
+  }
+
+  return createResult(url, {
+    ok: !error,
+    status: response.status,
+    statusText: response.statusText,
+    headers: responseHeaders,
+    data: error ? null : data,
+    error
+  });
+}
+
+/**
+ * GET a JSON resource and return its parsed body
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options (see request)
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {HttpError} When the request fails for any reason
+ */
+export async function getJson(url, options = {}) {
+  const result = await request(url, { ...options, method: 'GET', responseType: 'json' });
+  return unwrap(result);
+}
+
+/**
+ * POST a JSON payload and return the parsed response body
+ * @param {string} url - URL to post to
+ * @param {*} body - Payload, serialized as JSON
+ * @param {Object} options - Request options (see request)
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {HttpError} When the request fails for any reason
+ */
+export async function postJson(url, body, options = {}) {
+  const result = await request(url, { ...options, method: 'POST', body, responseType: 'json' });
+  return unwrap(result);
+}
+
+/**
+ * Remove cached responses
+ * @param {string} urlPrefix - Only clear entries whose URL starts with this prefix
+ */
+export function clearResponseCache(urlPrefix = '') {
+  if (!urlPrefix) {
+    responseCache.clear();
+    return;
+  }
+
+  for (const key of responseCache.keys()) {
+    const url = key.split(' ')[1];
+    if (url.startsWith(urlPrefix)) {
+      responseCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Return the data of a successful result or throw
+ * @param {Object} result - HttpResult
+ * @returns {*} Result data
+ */
+function unwrap(result) {
+  if (!result.ok) {
+    throw new HttpError(result.error.message, result);
+  }
+  return result.data;
+}
+
+/**
+ * Build an HttpResult with defaults filled in
+ * @param {string} url - Requested URL
+ * @param {Object} fields - Result fields
+ * @returns {Object} HttpResult
+ */
+function createResult(url, fields) {
+  return {
+    ok: false,
+    status: 0,
+    statusText: '',
+    headers: {},
+    data: null,
+    error: null,
+    url,
+    fromCache: false,
+    ...fields
+  };
+}
+
+/**
+ * Convert a Headers instance to a plain object with lowercase keys
+ * @param {Headers} headers - Response headers
+ * @returns {Object} Header map
+ */
+function headersToObject(headers) {
+  const result = {};
+  headers?.forEach((value, key) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
@@ -0,0 +1,115 @@
+/**
+ * Language names for Open Library's MARC language codes.
+ * Codes are mapped to BCP 47 tags and named through Intl.DisplayNames in the visitor's
+ * locale, so every language Open Library knows gets a name without a hand-kept dictionary.
+ */
+
+// MARC / ISO 639-2 codes that have a two-letter ISO 639-1 equivalent, including obsolete
+// MARC codes still found in older records. Other three-letter codes are already valid BCP 47.
+const MARC_TO_BCP47 = {
+  aar: 'aa', abk: 'ab', afr: 'af', aka: 'ak', alb: 'sq', amh: 'am', ara: 'ar', arg: 'an',
+  arm: 'hy', asm: 'as', ava: 'av', ave: 'ae', aym: 'ay', aze: 'az', bak: 'ba', bam: 'bm',
+  baq: 'eu', bel: 'be', ben: 'bn', bis: 'bi', bos: 'bs', bre: 'br', bul: 'bg', bur: 'my',
+  cat: 'ca', cha: 'ch', che: 'ce', chi: 'zh', chu: 'cu', chv: 'cv', cor: 'kw', cos: 'co',
+  cre: 'cr', cze: 'cs', dan: 'da', div: 'dv', dut: 'nl', dzo: 'dz', eng: 'en', epo: 'eo',
+  est: 'et', ewe: 'ee', fao: 'fo', fij: 'fj', fin: 'fi', fre: 'fr', fry: 'fy', ful: 'ff',
+  geo: 'ka', ger: 'de', gla: 'gd', gle: 'ga', glg: 'gl', glv: 'gv', gre: 'el', grn: 'gn',
+  guj: 'gu', hat: 'ht', hau: 'ha', heb: 'he', her: 'hz', hin: 'hi', hmo: 'ho', hrv: 'hr',
+  hun: 'hu', ibo: 'ig', ice: 'is', ido: 'io', iii: 'ii', iku: 'iu', ile: 'ie', ina: 'ia',
+  ind: 'id', ipk: 'ik', ita: 'it', jav: 'jv', jpn: 'ja', kal: 'kl', kan: 'kn', kas: 'ks',
+  kau: 'kr', kaz: 'kk', khm: 'km', kik: 'ki', kin: 'rw', kir: 'ky', kom: 'kv', kon: 'kg',
+  kor: 'ko', kua: 'kj', kur: 'ku', lao: 'lo', lat: 'la', lav: 'lv', lim: 'li', lin: 'ln',
+  lit: 'lt', ltz: 'lb', lub: 'lu', lug: 'lg', mac: 'mk', mah: 'mh', mal: 'ml', mao: 'mi',
+  mar: 'mr', may: 'ms', mlg: 'mg', mlt: 'mt', mon: 'mn', nau: 'na', nav: 'nv', nbl: 'nr',
+  nde: 'nd', ndo: 'ng', nep: 'ne', nno: 'nn', nob: 'nb', nor: 'no', nya: 'ny', oci: 'oc',
+  oji: 'oj', ori: 'or', orm: 'om', oss: 'os', pan: 'pa', per: 'fa', pli: 'pi', pol: 'pl',
+  por: 'pt', pus: 'ps', que: 'qu', roh: 'rm', rum: 'ro', run: 'rn', rus: 'ru', sag: 'sg',
+  san: 'sa', sin: 'si', slo: 'sk', slv: 'sl', sme: 'se', smo: 'sm', sna: 'sn', snd: 'sd',
+  som: 'so', sot: 'st', spa: 'es', srd: 'sc', srp: 'sr', ssw: 'ss', sun: 'su', swa: 'sw',
+  swe: 'sv', tah: 'ty', tam: 'ta', tat: 'tt', tel: 'te', tgk: 'tg', tgl: 'tl', tha: 'th',
+  tib: 'bo', tir: 'ti', ton: 'to', tsn: 'tn', tso: 'ts', tuk: 'tk', tur: 'tr', twi: 'tw',
+  uig: 'ug', ukr: 'uk', urd: 'ur', uzb: 'uz', ven: 've', vie: 'vi', vol: 'vo', wel: 'cy',
+  wln: 'wa', wol: 'wo', xho: 'xh', yid: 'yi', yor: 'yo', zha: 'za', zul: 'zu',
+
+  // Obsolete MARC codes
+  cam: 'km', esk: 'iu', esp: 'eo', eth: 'gez', far: 'fo', fri: 'fy', gae: 'gd', gag: 'gl',
+  gua: 'gn', int: 'ia', iri: 'ga', lan: 'oc', lap: 'se', max: 'gv', mla: 'mg', mol: 'ro',
+  scc: 'sr', scr: 'hr', sho: 'sn', snh: 'si', sso: 'st', swz: 'ss', tag: 'tl', taj: 'tg',
+  tar: 'tt', tsw: 'tn'
+};
+
+// Intl.DisplayNames instances by locale
+const displayNames = new Map();
+
+/**
+ * Convert a MARC / ISO 639-2 code to a BCP 47 language tag
+ * @param {string} code - e.g. "fre", "/languages/ger" or "en"
+ * @returns {string} Tag such as "fr", or the lowercased code when no mapping is needed
+ */
+export function toLanguageTag(code) {
+  const clean = String(code || '').replace('/languages/', '').trim().toLowerCase();
+  return MARC_TO_BCP47[clean] || clean;
+}
+
+/**
+ * Get the name of a language in the visitor's locale
+ * @param {string} code - MARC / ISO 639-2 code or BCP 47 tag
+ * @param {string} locale - Locale to name the language in, the visitor's by default
+ * @returns {string} Language name, or the code itself when it cannot be named
+ */
+export function getLanguageName(code, locale = getVisitorLocale()) {
+  const tag = toLanguageTag(code);
+  // ICU names "und" after its root locale rather than as a language
+  if (tag === 'und') return 'Undetermined';
+
+  const names = getDisplayNames(locale);
+
+  let name = null;
+  try {
+    name = names?.of(tag);
+  } catch {
+    // Not a well-formed language tag
+  }
+
+  if (!name || name.toLowerCase() === tag) {
+    return String(code);
+  }
+  return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+}
+
+/**
+ * Compare two language codes by their names, for sorting
+ * @param {string} a - First code
+ * @param {string} b - Second code
+ * @returns {number} Sort order
+ */
+export function compareLanguages(a, b) {
+  return getLanguageName(a).localeCompare(getLanguageName(b), getVisitorLocale());
+}
+
+/**
+ * The visitor's preferred locale
+ * @returns {string} Locale such as "en-GB"
+ */
+function getVisitorLocale() {
+  if (typeof navigator === 'undefined') return 'en';
+  return navigator.languages?.[0] || navigator.language || 'en';
+}
+
+/**
+ * Get a cached Intl.DisplayNames for a locale
+ * @param {string} locale - Locale
+ * @returns {Intl.DisplayNames|null} Display names, or null when unsupported
+ */
+function getDisplayNames(locale) {
+  if (!displayNames.has(locale)) {
+    let names = null;
+    try {
+      names = new Intl.DisplayNames([locale, 'en'], { type: 'language', fallback: 'code' });
+    } catch (error) {
+      console.warn('Language names unavailable:', error.message);
+    }
+    displayNames.set(locale, names);
+  }
+  return displayNames.get(locale);
+}
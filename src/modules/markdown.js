@@ -0,0 +1,114 @@
+/**
+ * Minimal Markdown support for curated site content.
+ * Handles headings, paragraphs, lists, blockquotes, emphasis, inline code and links;
+ * everything else is escaped, so content files cannot inject HTML.
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Split a Markdown document into sections at its level-2 headings.
+ * A heading may end with an explicit ID, e.g. "## Personal Journey {#personal}";
+ * otherwise the ID is derived from the heading text.
+ * @param {string} markdown - Markdown source
+ * @returns {Object} Sections keyed by ID, in document order: { [id]: { id, title, markdown } }
+ */
+export function parseMarkdownSections(markdown) {
+  const sections = {};
+  let current = null;
+
+  String(markdown || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.+?)\s*(?:\{#([\w-]+)\})?\s*$/);
+    if (heading) {
+      const id = heading[2] || slugify(heading[1]);
+      current = { id, title: heading[1], lines: [] };
+      sections[id] = current;
+      return;
+    }
+
+    if (current) current.lines.push(line);
+  });
+
+  Object.values(sections).forEach(section => {
+    section.markdown = section.lines.join('\n').trim();
+    delete section.lines;
+  });
+
+  return sections;
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Options
+ * @param {number} options.headingOffset - Added to heading levels, e.g. 1 renders "##" as <h3>
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown, { headingOffset = 0 } = {}) {
+  const blocks = String(markdown || '').replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/);
+
+  return blocks.map(block => {
+    const lines = block.split('\n');
+
+    const heading = block.match(/^(#{1,6})\s+(.+)$/);
+    if (heading && lines.length === 1) {
+      const level = Math.min(heading[1].length + headingOffset, 6);
+      return `<h${level}>${renderInline(heading[2])}</h${level}>`;
+    }
+
+    if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+      return `<ul>${lines.map(line => `<li>${renderInline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+
+    if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+      return `<ol>${lines.map(line => `<li>${renderInline(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+    }
+
+    if (lines.every(line => line.startsWith('>'))) {
+      const quote = lines.map(line => line.replace(/^>\s?/, '')).join('\n');
+      return `<blockquote>${renderMarkdown(quote, { headingOffset })}</blockquote>`;
+    }
+
+    return `<p>${renderInline(lines.join(' '))}</p>`;
+  }).join('\n');
+}
+
+/**
+ * Render inline Markdown: links, bold, italics and code
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  // Set code spans and links aside so emphasis rules cannot touch their contents
+  const tokens = [];
+  const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  return escapeHtml(text.trim())
+    .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (
+      isSafeUrl(url)
+        ? stash(`<a href="${url}" target="_blank" rel="noopener">${label}</a>`)
+        : label
+    ))
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])[*_](?!\s)(.+?)[*_](?![\w*])/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Allow only web, mail and site-relative links
+ * @param {string} url - Link target (already HTML-escaped)
+ * @returns {boolean} True if the link may be rendered
+ */
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|\/|#)/i.test(url) || !/^[\w+.-]+:/.test(url);
+}
+
+/**
+ * Turn heading text into a section ID
+ * @param {string} text - Heading text
+ * @returns {string} ID
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,150 @@
+/**
+ * Debug panel listing unmatched works and low-confidence merges from the matching engine.
+ * Enable with ?debug=matching in the URL, or localStorage.setItem('authorport:debug', 'matching').
+ */
+
+import { getMatchReports, onMatchReport } from './workMatcher.js';
+import { addEvent, escapeHtml } from './utils.js';
+
+const DEBUG_STORAGE_KEY = 'authorport:debug';
+
+/**
+ * Match Debug Panel
+ */
+export class MatchDebugPanel {
+  constructor() {
+    this.panel = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Check whether matching diagnostics were requested
+   * @returns {boolean} True if the panel should be shown
+   */
+  static isEnabled() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('debug') === 'matching') return true;
+
+    try {
+      return localStorage.getItem(DEBUG_STORAGE_KEY) === 'matching';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create the panel and start listening for match reports
+   */
+  init() {
+    if (!MatchDebugPanel.isEnabled() || !document.getElementById('books-container')) {
+      return;
+    }
+
+    this.panel = this.createPanel();
+    document.body.appendChild(this.panel);
+
+    addEvent(this.panel.querySelector('.match-debug-close'), 'click', () => this.destroy());
+    this.unsubscribe = onMatchReport(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Create panel element
+   * @returns {HTMLElement} Panel element
+   */
+  createPanel() {
+    const panel = document.createElement('aside');
+    panel.className = 'match-debug-panel';
+    panel.setAttribute('aria-label', 'Work matching diagnostics');
+    panel.innerHTML = `
+      <div class="match-debug-header">
+        <strong>Work matching</strong>
+        <button class="match-debug-close" aria-label="Close matching diagnostics">&times;</button>
+      </div>
+      <div class="match-debug-body"></div>
+    `;
+    return panel;
+  }
+
+  /**
+   * Render every stored report, newest first
+   */
+  render() {
+    if (!this.panel) return;
+
+    const body = this.panel.querySelector('.match-debug-body');
+    const reports = getMatchReports().reverse();
+
+    if (reports.length === 0) {
+      body.innerHTML = '<p>No matching has run yet. Pages served from the cache are not re-matched.</p>';
+      return;
+    }
+
+    body.innerHTML = reports.map(report => this.renderReport(report)).join('');
+  }
+
+  /**
+   * Render one report
+   * @param {Object} report - Report from createMatchReport
+   * @returns {string} HTML
+   */
+  renderReport(report) {
+    const methods = Object.entries(report.byMethod)
+      .map(([method, count]) => `${escapeHtml(method)}: ${count}`)
+      .join(', ') || 'none';
+
+    const lowConfidence = report.lowConfidence.map(match => `
+      <li>
+        ${escapeHtml(match.work.title)} &harr; ${escapeHtml(match.candidate.title)}
+        <span class="match-debug-meta">${escapeHtml(match.method)}, ${match.confidence}</span>
+      </li>
+    `).join('');
+
+    return `
+      <details class="match-debug-report" ${report.lowConfidence.length || report.unmatchedWorks.length ? 'open' : ''}>
+        <summary>
+          ${escapeHtml(report.label || 'Merge')} &middot; ${report.matchedCount} matched,
+          ${report.lowConfidence.length} low confidence,
+          ${report.unmatchedWorks.length + report.unmatchedCandidates.length} unmatched
+        </summary>
+        <p class="match-debug-meta">${new Date(report.createdAt).toLocaleTimeString()} &middot; ${methods}</p>
+        ${this.renderList('Low-confidence merges', lowConfidence)}
+        ${this.renderList('Works without a search result', this.renderBooks(report.unmatchedWorks))}
+        ${this.renderList('Search results without a work', this.renderBooks(report.unmatchedCandidates))}
+      </details>
+    `;
+  }
+
+  /**
+   * Render a titled list, or nothing when it is empty
+   * @param {string} title - List heading
+   * @param {string} itemsHtml - List items
+   * @returns {string} HTML
+   */
+  renderList(title, itemsHtml) {
+    return itemsHtml ? `<h4>${title}</h4><ul>${itemsHtml}</ul>` : '';
+  }
+
+  /**
+   * Render book references as list items
+   * @param {Array} books - { title, key } references
+   * @returns {string} HTML
+   */
+  renderBooks(books) {
+    return books.map(book => `
+      <li>
+        ${escapeHtml(book.title)}
+        <span class="match-debug-meta">${escapeHtml(book.key || 'no work key')}</span>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Remove the panel and stop listening
+   */
+  destroy() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.panel?.remove();
+    this.panel = null;
+  }
+}
@@ -2,7 +2,12 @@
  * Modal components and functionality
  */
 
-import { generateBookDescription } from './apiService.js';
+import { generateBookDescription, fetchWorkEditions, fetchWorkReception } from './apiService.js';
+import { setCoverImage } from './coverImage.js';
+import { authorProfile, formatAuthorCopy, formatByline } from './authorProfile.js';
+import { loadAuthorBio } from './authorBio.js';
+import { getLanguageName } from './languages.js';
+import { addEvent, escapeHtml } from './utils.js';
 
 /**
  * Base modal class for common functionality
@@ -113,11 +118,13 @@ export class FeaturedBooksModal extends BaseModal {
         <button class="modal-close">&times;</button>
         <div class="modal-body">
           <div class="modal-image">
-            <img id="featuredModalBookCover" src="" alt="Book Cover">
+            <div class="cover-image">
+              <img id="featuredModalBookCover" src="" alt="Book Cover" width="300" height="450" decoding="async">
+            </div>
           </div>
           <div class="modal-info">
             <h2 id="featuredModalBookTitle"></h2>
-            <p class="modal-author">by J.K. Rowling</p>
+            <p id="featuredModalBookAuthor" class="modal-author">by ${escapeHtml(authorProfile.name)}</p>
             <div class="modal-details">
               <div class="detail-item">
                 <strong>Publication Year:</strong>
@@ -152,13 +159,10 @@ export class FeaturedBooksModal extends BaseModal {
    */
   populateContent(book) {
     // Cover image
-    const coverUrl = book.covers && book.covers[0] 
-      ? `https://covers.openlibrary.org/b/id/${book.covers[0]}-L.jpg`
-      : '/public/vite.svg';
-    
-    document.getElementById('featuredModalBookCover').src = coverUrl;
+    setCoverImage(document.getElementById('featuredModalBookCover'), book);
     document.getElementById('featuredModalBookTitle').textContent = book.title;
-    document.getElementById('featuredModalBookYear').textContent = book.first_publish_date || 'Unknown';
+    document.getElementById('featuredModalBookAuthor').textContent = `by ${formatByline(book.authors)}`;
+    document.getElementById('featuredModalBookYear').textContent = book.year || 'Unknown';
     
     // Subjects
     this.populateSubjects(book.subjects);
@@ -167,7 +171,7 @@ export class FeaturedBooksModal extends BaseModal {
     this.populateDescription(book);
     
     // Amazon link
-    const amazonSearchQuery = encodeURIComponent(`${book.title} J.K. Rowling`);
+    const amazonSearchQuery = encodeURIComponent(`${book.title} ${formatByline(book.authors)}`);
     const amazonUrl = `https://www.amazon.com/s?k=${amazonSearchQuery}&i=stripbooks&ref=nb_sb_noss`;
     document.getElementById('featuredModalAmazonLink').href = amazonUrl;
   }
@@ -203,21 +207,13 @@ export class FeaturedBooksModal extends BaseModal {
       // Show loading state and generate AI description
       descriptionElement.innerHTML = '<div class="description-loading"><div class="spinner-small"></div>Generating description...</div>';
       
-      // Create book object for AI description
-      const bookForAI = {
-        title: book.title,
-        subject: book.subjects || [],
-        first_publish_year: book.first_publish_date,
-        cover_i: book.covers && book.covers[0] ? book.covers[0] : null
-      };
-      
-      generateBookDescription(bookForAI)
+      generateBookDescription(book)
         .then(description => {
-          descriptionElement.textContent = description;
+          descriptionElement.textContent = description.text;
         })
         .catch(error => {
           console.error('Error generating description:', error);
-          descriptionElement.textContent = 'A captivating work by J.K. Rowling that has enchanted readers worldwide.';
+          descriptionElement.textContent = formatAuthorCopy(authorProfile.copy.modalFallback);
         });
     }
   }
@@ -230,6 +226,9 @@ export class BooksPageModal extends BaseModal {
   constructor(booksPageManager = null) {
     super('bookModal', 'book-modal');
     this.booksPageManager = booksPageManager; // Reference to get cached descriptions
+    this.currentBook = null;
+    this.editions = null; // Editions loaded for currentBook, or null until the tab is opened
+    this.editionsBound = false;
     this.setupEventListeners();
   }
 
@@ -275,9 +274,26 @@ export class BooksPageModal extends BaseModal {
   showWithBook(book) {
     this.show();
     this.setupModalEventListeners(); // Setup event listeners after modal is created
+    this.setupEditionsListeners();
     this.populateContent(book);
   }
 
+  /**
+   * Setup tab and editions filter listeners once
+   */
+  setupEditionsListeners() {
+    if (!this.modal || this.editionsBound) return;
+    this.editionsBound = true;
+
+    this.modal.querySelectorAll('.modal-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+    });
+
+    ['editionLanguageFilter', 'editionFormatFilter'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.renderEditions());
+    });
+  }
+
   /**
    * Create modal element
    * @returns {HTMLElement} Modal element
@@ -293,36 +309,67 @@ export class BooksPageModal extends BaseModal {
         <button class="modal-close">&times;</button>
         <div class="modal-body">
           <div class="modal-image">
-            <img id="modalBookCover" src="" alt="Book Cover">
+            <div class="cover-image">
+              <img id="modalBookCover" src="" alt="Book Cover" width="300" height="450" decoding="async">
+            </div>
           </div>
           <div class="modal-info">
             <h2 id="modalBookTitle"></h2>
-            <p class="modal-author">by J.K. Rowling</p>
-            <div class="modal-details">
-              <div class="detail-item">
-                <strong>Publication Year:</strong>
-                <span id="modalBookYear"></span>
-              </div>
-              <div class="detail-item">
-                <strong>First Published:</strong>
-                <span id="modalFirstPublished"></span>
-              </div>
-              <div class="detail-item" id="modalLanguageContainer">
-                <strong>Languages:</strong>
-                <span id="modalLanguages"></span>
-              </div>
-              <div class="detail-item" id="modalPublisherContainer">
-                <strong>Publishers:</strong>
-                <span id="modalPublishers"></span>
-              </div>
-              <div class="detail-item" id="modalSubjectsContainer">
-                <strong>Subjects:</strong>
-                <div id="modalSubjects" class="modal-subjects"></div>
+            <p id="modalBookAuthor" class="modal-author">by ${escapeHtml(authorProfile.name)}</p>
+            <div class="modal-tabs" role="tablist">
+              <button class="modal-tab active" data-tab="details" role="tab" aria-selected="true">Details</button>
+              <button class="modal-tab" data-tab="editions" role="tab" aria-selected="false">
+                Editions <span id="modalEditionCount" class="edition-count"></span>
+              </button>
+            </div>
+            <div class="modal-tab-panel" data-panel="details">
+              <div class="modal-details">
+                <div class="detail-item">
+                  <strong>Publication Year:</strong>
+                  <span id="modalBookYear"></span>
+                </div>
+                <div class="detail-item">
+                  <strong>First Published:</strong>
+                  <span id="modalFirstPublished"></span>
+                </div>
+                <div class="detail-item" id="modalRatingContainer">
+                  <strong>Rating:</strong>
+                  <span id="modalRating"></span>
+                </div>
+                <div class="detail-item" id="modalReadingLogContainer">
+                  <strong>Reading Log:</strong>
+                  <span id="modalReadingLog"></span>
+                </div>
+                <div class="detail-item" id="modalLanguageContainer">
+                  <strong>Languages:</strong>
+                  <span id="modalLanguages"></span>
+                </div>
+                <div class="detail-item" id="modalPublisherContainer">
+                  <strong>Publishers:</strong>
+                  <span id="modalPublishers"></span>
+                </div>
+                <div class="detail-item" id="modalSubjectsContainer">
+                  <strong>Subjects:</strong>
+                  <div id="modalSubjects" class="modal-subjects"></div>
+                </div>
+                <div class="detail-item" id="modalDescriptionContainer">
+                  <strong>Description:</strong>
+                  <p id="modalDescription"></p>
+                  <p id="modalDescriptionSource" class="description-source"></p>
+                </div>
               </div>
-              <div class="detail-item" id="modalDescriptionContainer">
-                <strong>Description:</strong>
-                <p id="modalDescription"></p>
+            </div>
+            <div class="modal-tab-panel" data-panel="editions" style="display: none;">
+              <div class="editions-filters">
+                <select id="editionLanguageFilter" class="filter-select" aria-label="Filter editions by language">
+                  <option value="">All Languages</option>
+                </select>
+                <select id="editionFormatFilter" class="filter-select" aria-label="Filter editions by format">
+                  <option value="">All Formats</option>
+                </select>
               </div>
+              <p id="editionsStatus" class="editions-status"></p>
+              <ul id="editionsList" class="editions-list"></ul>
             </div>
             <div class="modal-actions">
               <a id="modalAmazonLink" href="" target="_blank" rel="noopener noreferrer" class="buy-btn amazon-btn">
@@ -344,42 +391,168 @@ export class BooksPageModal extends BaseModal {
    */
   populateContent(book) {
     // Cover image
-    const coverUrl = book.cover_i 
-      ? `https://covers.openlibrary.org/b/id/${book.cover_i}-L.jpg`
-      : 'https://via.placeholder.com/400x600/f0f0f0/666?text=No+Cover';
-    
-    document.getElementById('modalBookCover').src = coverUrl;
+    setCoverImage(document.getElementById('modalBookCover'), book);
     document.getElementById('modalBookTitle').textContent = book.title;
-    document.getElementById('modalBookYear').textContent = book.first_publish_year || 'Unknown';
-    document.getElementById('modalFirstPublished').textContent = book.first_publish_year || 'Unknown';
+    document.getElementById('modalBookAuthor').textContent = `by ${formatByline(book.authors)}`;
+    document.getElementById('modalBookYear').textContent = book.year || 'Unknown';
+    document.getElementById('modalFirstPublished').textContent = book.year || 'Unknown';
     
     // Languages
-    this.populateLanguages(book.language);
+    this.populateLanguages(book.languages);
     
     // Publishers
-    this.populatePublishers(book.publisher);
+    this.populatePublishers(book.publishers);
     
     // Subjects
-    this.populateSubjects(book.subject);
+    this.populateSubjects(book.subjects);
+    
+    // Ratings and reading-log counts
+    this.populateReception(book);
     
     // Description
     this.populateDescription(book);
     
     // Amazon link
-    const amazonSearchQuery = encodeURIComponent(`${book.title} J.K. Rowling`);
+    const amazonSearchQuery = encodeURIComponent(`${book.title} ${formatByline(book.authors)}`);
     const amazonUrl = `https://www.amazon.com/s?k=${amazonSearchQuery}&i=stripbooks&ref=nb_sb_noss`;
     document.getElementById('modalAmazonLink').href = amazonUrl;
+    
+    // Editions are loaded on demand when the tab is opened
+    this.currentBook = book;
+    this.editions = null;
+    document.getElementById('modalEditionCount').textContent = book.editionCount ? `(${book.editionCount})` : '';
+    this.showTab('details');
+  }
+
+  /**
+   * Switch between the details and editions tabs
+   * @param {string} tabName - 'details' or 'editions'
+   */
+  showTab(tabName) {
+    this.modal.querySelectorAll('.modal-tab').forEach(tab => {
+      const isActive = tab.dataset.tab === tabName;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+
+    this.modal.querySelectorAll('.modal-tab-panel').forEach(panel => {
+      panel.style.display = panel.dataset.panel === tabName ? 'block' : 'none';
+    });
+
+    if (tabName === 'editions' && !this.editions) {
+      this.loadEditions(this.currentBook);
+    }
+  }
+
+  /**
+   * Load the editions of a book's work and render them
+   * @param {Object} book - Book object
+   */
+  async loadEditions(book) {
+    const statusElement = document.getElementById('editionsStatus');
+    document.getElementById('editionsList').innerHTML = '';
+
+    if (!book?.key || !book.key.startsWith('/works/')) {
+      statusElement.textContent = 'Edition details are not available for this book.';
+      return;
+    }
+
+    statusElement.innerHTML = '<div class="description-loading"><div class="spinner-small"></div>Loading editions...</div>';
+
+    try {
+      const { editions } = await fetchWorkEditions(book.key);
+
+      // Ignore results for a book that is no longer shown
+      if (this.currentBook !== book) return;
+
+      this.editions = editions;
+      this.populateEditionFilters(editions);
+      this.renderEditions();
+    } catch (error) {
+      console.error('Error loading editions:', error);
+      if (this.currentBook === book) {
+        statusElement.textContent = 'Sorry, we couldn\'t load the editions right now.';
+      }
+    }
+  }
+
+  /**
+   * Fill the edition language and format filters from the loaded editions
+   * @param {Array} editions - Normalized editions
+   */
+  populateEditionFilters(editions) {
+    const languages = new Set(editions.flatMap(edition => edition.languages));
+    const formats = new Set(editions.map(edition => edition.format).filter(Boolean));
+
+    const languageFilter = document.getElementById('editionLanguageFilter');
+    languageFilter.innerHTML = '<option value="">All Languages</option>' +
+      Array.from(languages)
+        .sort()
+        .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(getLanguageName(code))}</option>`)
+        .join('');
+
+    const formatFilter = document.getElementById('editionFormatFilter');
+    formatFilter.innerHTML = '<option value="">All Formats</option>' +
+      Array.from(formats)
+        .sort()
+        .map(format => `<option value="${escapeHtml(format)}">${escapeHtml(format)}</option>`)
+        .join('');
+  }
+
+  /**
+   * Render the editions list using the current filter values
+   */
+  renderEditions() {
+    if (!this.editions) return;
+
+    const language = document.getElementById('editionLanguageFilter').value;
+    const format = document.getElementById('editionFormatFilter').value;
+    const statusElement = document.getElementById('editionsStatus');
+    const listElement = document.getElementById('editionsList');
+
+    const editions = this.editions.filter(edition =>
+      (!language || edition.languages.includes(language)) &&
+      (!format || edition.format === format)
+    );
+
+    statusElement.textContent = editions.length === this.editions.length
+      ? `${editions.length} editions`
+      : `${editions.length} of ${this.editions.length} editions`;
+
+    listElement.innerHTML = editions.map(edition => {
+      const meta = [
+        edition.publishers.join(', '),
+        edition.publishDate,
+        edition.languages.map(code => getLanguageName(code)).join(', '),
+        edition.format,
+        edition.pages ? `${edition.pages} pages` : ''
+      ].filter(Boolean);
+
+      const isbns = [...edition.isbn13, ...edition.isbn10];
+      const translation = edition.translatedFrom.length > 0
+        ? `<p class="edition-translation">Translated from ${escapeHtml(edition.translatedFrom.map(code => getLanguageName(code)).join(', '))}</p>`
+        : '';
+
+      return `
+        <li class="edition-item">
+          <p class="edition-title">${escapeHtml(edition.title || '')}${edition.subtitle ? `: ${escapeHtml(edition.subtitle)}` : ''}</p>
+          <p class="edition-meta">${escapeHtml(meta.join(' · '))}</p>
+          ${translation}
+          ${isbns.length > 0 ? `<p class="edition-isbn">ISBN ${escapeHtml(isbns.join(', '))}</p>` : ''}
+        </li>
+      `;
+    }).join('');
   }
 
   /**
    * Populate languages section
-   * @param {Array} languages - Array of language codes
+   * @param {Array} languages - Array of MARC language codes, shown by name
    */
   populateLanguages(languages) {
     const languageContainer = document.getElementById('modalLanguageContainer');
     
     if (languages && languages.length > 0) {
-      document.getElementById('modalLanguages').textContent = languages.slice(0, 5).join(', ');
+      document.getElementById('modalLanguages').textContent = languages.slice(0, 5).map(code => getLanguageName(code)).join(', ');
       languageContainer.style.display = 'block';
     } else {
       languageContainer.style.display = 'none';
@@ -419,6 +592,51 @@ export class BooksPageModal extends BaseModal {
     }
   }
 
+  /**
+   * Populate rating and reading-log details, fetching them if enrichment has not
+   * filled them in yet
+   * @param {Book} book - Book object
+   */
+  populateReception(book) {
+    this.showReception(book);
+    if (book.rating || book.readingLog || !book.key) return;
+
+    fetchWorkReception(book.key)
+      .then(({ rating, readingLog }) => {
+        if (rating) book.rating = rating;
+        if (readingLog) book.readingLog = readingLog;
+        if (this.currentBook === book) this.showReception(book);
+      })
+      .catch(error => console.warn(`Ratings unavailable for ${book.title}:`, error.message));
+  }
+
+  /**
+   * Show a book's rating and reading-log counts, hiding rows without data
+   * @param {Book} book - Book object
+   */
+  showReception(book) {
+    const ratingContainer = document.getElementById('modalRatingContainer');
+    const readingLogContainer = document.getElementById('modalReadingLogContainer');
+
+    if (book.rating) {
+      const { average, count } = book.rating;
+      document.getElementById('modalRating').textContent =
+        `★ ${average.toFixed(2)} / 5 from ${count.toLocaleString()} rating${count === 1 ? '' : 's'}`;
+      ratingContainer.style.display = 'block';
+    } else {
+      ratingContainer.style.display = 'none';
+    }
+
+    if (book.readingLog) {
+      const { wantToRead, currentlyReading, alreadyRead } = book.readingLog;
+      document.getElementById('modalReadingLog').textContent =
+        `${wantToRead.toLocaleString()} want to read · ${currentlyReading.toLocaleString()} currently reading · ${alreadyRead.toLocaleString()} have read`;
+      readingLogContainer.style.display = 'block';
+    } else {
+      readingLogContainer.style.display = 'none';
+    }
+  }
+
   /**
    * Populate description section
    * @param {Object} book - Book object
@@ -434,15 +652,19 @@ export class BooksPageModal extends BaseModal {
     
     if (cachedDescription) {
       // Use cached description immediately
-      descriptionElement.textContent = cachedDescription;
+      this.showDescription(cachedDescription);
     } else {
       // Show loading state and generate description
       descriptionElement.innerHTML = '<div class="description-loading"><div class="spinner-small"></div>Generating description...</div>';
+      this.showDescriptionSource('');
       
-      // Generate description using Hugging Face API
+      // Ask the description providers in priority order
       generateBookDescription(book)
         .then(description => {
-          descriptionElement.textContent = description;
+          // Ignore late results for a book that is no longer shown
+          if (this.currentBook !== book) return;
+          
+          this.showDescription(description);
           
           // Cache the description for future use
           if (this.booksPageManager) {
@@ -456,13 +678,99 @@ export class BooksPageModal extends BaseModal {
           let fallbackDescription = '';
           if (book.subtitle) {
             fallbackDescription = book.subtitle;
-          } else if (book.subject && book.subject.length > 0) {
-            fallbackDescription = `A captivating work exploring themes of ${book.subject.slice(0, 3).join(', ')}.`;
+          } else if (book.subjects.length > 0) {
+            fallbackDescription = `A captivating work exploring themes of ${book.subjects.slice(0, 3).join(', ')}.`;
           } else {
-            fallbackDescription = 'A captivating work by J.K. Rowling that has enchanted readers worldwide.';
+            fallbackDescription = formatAuthorCopy(authorProfile.copy.modalFallback);
           }
           descriptionElement.textContent = fallbackDescription;
+          this.showDescriptionSource('');
         });
     }
   }
+
+  /**
+   * Show a resolved description with its source label
+   * @param {Object} description - { text, source, label } from generateBookDescription
+   */
+  showDescription(description) {
+    document.getElementById('modalDescription').textContent = description.text;
+    this.showDescriptionSource(description.label);
+  }
+
+  /**
+   * Show where the description came from, e.g. "from Open Library" or "AI-generated"
+   * @param {string} label - Source label; empty hides the line
+   */
+  showDescriptionSource(label) {
+    const sourceElement = document.getElementById('modalDescriptionSource');
+    if (!sourceElement) return;
+    
+    sourceElement.textContent = label ? `(${label})` : '';
+    sourceElement.style.display = label ? 'block' : 'none';
+  }
+}
+
+/**
+ * About Modal
+ * Shows one curated section of the author biography, keyed by an about card's data-card value
+ */
+export class AboutModal extends BaseModal {
+  constructor() {
+    super('aboutModal', 'modal');
+    this.currentSection = null;
+  }
+
+  /**
+   * Show the modal with a biography section
+   * @param {string} sectionId - Section ID from the curated Markdown file
+   */
+  async showSection(sectionId) {
+    this.show();
+    this.currentSection = sectionId;
+
+    const titleElement = this.modal.querySelector('#aboutModalTitle');
+    const contentElement = this.modal.querySelector('#aboutModalContent');
+    titleElement.textContent = '';
+    contentElement.innerHTML = '<p class="loading-text">Loading...</p>';
+
+    const bio = await loadAuthorBio();
+    if (this.currentSection !== sectionId) return; // another section was opened meanwhile
+
+    const section = bio.sections[sectionId];
+    if (section) {
+      titleElement.textContent = section.title;
+      contentElement.innerHTML = section.html;
+    } else {
+      console.warn(`No about section "${sectionId}" in the curated author content`);
+      contentElement.innerHTML = '<p>This section is not available right now.</p>';
+    }
+  }
+
+  /**
+   * Create modal element
+   * @returns {HTMLElement} Modal element
+   */
+  createElement() {
+    const modal = document.createElement('div');
+    modal.id = this.modalId;
+    modal.className = this.modalClass;
+
+    modal.innerHTML = `
+      <div class="modal-content about-modal-content">
+        <span class="close" aria-label="Close">&times;</span>
+        <h2 id="aboutModalTitle"></h2>
+        <div id="aboutModalContent"></div>
+      </div>
+    `;
+
+    addEvent(modal.querySelector('.close'), 'click', () => this.hide());
+    addEvent(modal, 'click', (event) => {
+      if (event.target === modal) {
+        this.hide();
+      }
+    });
+
+    return modal;
+  }
 }
@@ -0,0 +1,46 @@
+/**
+ * Banner shown while the browser is offline
+ */
+
+import { addEvent } from './utils.js';
+
+/**
+ * Offline Banner
+ */
+export class OfflineBanner {
+  constructor() {
+    this.banner = null;
+  }
+
+  /**
+   * Create the banner and follow the browser's connection state
+   */
+  init() {
+    this.banner = this.createBanner();
+    document.body.prepend(this.banner);
+
+    addEvent(window, 'online', () => this.update());
+    addEvent(window, 'offline', () => this.update());
+    this.update();
+  }
+
+  /**
+   * Create banner element
+   * @returns {HTMLElement} Banner element
+   */
+  createBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.textContent = 'You are offline. Showing saved pages and books, which may be out of date.';
+    banner.hidden = true;
+    return banner;
+  }
+
+  /**
+   * Show the banner while offline
+   */
+  update() {
+    this.banner.hidden = navigator.onLine;
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Persistent IndexedDB cache with stale-while-revalidate reads
+ */
+
+const DB_NAME = 'authorport-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Bump when the shape of cached payloads changes; older entries are discarded
+export const CACHE_VERSION = 'v6';
+
+const DEFAULT_MAX_AGE = 60 * 60 * 1000; // 1 hour before a background refresh
+const MAX_CACHE_BYTES = 5 * 1024 * 1024; // 5 MB
+const EVICTION_TARGET = 0.8; // share of the budget eviction frees down to, so it runs rarely
+const ACCESS_RESOLUTION = 60 * 60 * 1000; // an entry's lastAccess is rewritten at most hourly
+
+// In-memory fallback when IndexedDB is unavailable (private mode, old browsers)
+const memoryStore = new Map();
+
+// Keys with a background refresh in flight
+const pendingRevalidations = new Set();
+
+// Bytes stored, kept up to date by writes; null until an eviction pass has measured the store
+let storedBytes = null;
+
+// Eviction pass in progress: { promise, unmeasuredBytes }. Transactions on the store run in
+// the order they were created, so writes started after the pass are invisible to its
+// measurement; their size changes are collected in unmeasuredBytes and added to its result.
+let evictionPass = null;
+
+let dbPromise = null;
+
+/**
+ * Open the cache database, dropping entries from older cache versions
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      }
+    };
+
+    openRequest.onsuccess = () => {
+      const db = openRequest.result;
+      purgeOldVersions(db).finally(() => resolve(db));
+    };
+
+    openRequest.onerror = () => {
+      console.warn('IndexedDB unavailable, using in-memory cache:', openRequest.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} idbRequest - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisify(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
+
+/**
+ * Remove entries written by a different cache version
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<void>}
+ */
+async function purgeOldVersions(db) {
+  try {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const keys = await promisify(store.getAllKeys());
+    keys
+      .filter(key => !key.startsWith(`${CACHE_VERSION}:`))
+      .forEach(key => store.delete(key));
+  } catch (error) {
+    console.warn('Failed to purge old cache entries:', error);
+  }
+}
+
+/**
+ * Build the versioned storage key
+ * @param {string} key - Logical cache key
+ * @returns {string} Versioned key
+ */
+function versionedKey(key) {
+  return `${CACHE_VERSION}:${key}`;
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Logical cache key
+ * @returns {Promise<Object|null>} Entry { value, timestamp } or null
+ */
+export async function getCacheEntry(key) {
+  const storageKey = versionedKey(key);
+  const db = await openDatabase();
+
+  if (!db) {
+    return memoryStore.get(storageKey) || null;
+  }
+
+  try {
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entry = await promisify(store.get(storageKey));
+    if (!entry) return null;
+
+    // Record the access for least-recently-used eviction; an hour's precision is enough
+    if (Date.now() - (entry.lastAccess || 0) > ACCESS_RESOLUTION) {
+      touchEntry(db, storageKey);
+    }
+    return entry;
+  } catch (error) {
+    console.warn(`Failed to read cache entry ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry and evict old entries if the cache grows too large
+ * @param {string} key - Logical cache key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function setCacheEntry(key, value) {
+  const now = Date.now();
+  const entry = {
+    key: versionedKey(key),
+    value,
+    timestamp: now,
+    lastAccess: now,
+    size: estimateSize(value)
+  };
+
+  const db = await openDatabase();
+  if (!db) {
+    memoryStore.set(entry.key, entry);
+    return entry;
+  }
+
+  try {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const runningPass = evictionPass;
+    const previous = await promisify(store.get(entry.key));
+    await promisify(store.put(entry));
+
+    const delta = entry.size - (previous?.size || 0);
+    if (storedBytes !== null) storedBytes += delta;
+    if (runningPass) runningPass.unmeasuredBytes += delta;
+    if (storedBytes === null || storedBytes > MAX_CACHE_BYTES) {
+      await evictToSize(db, MAX_CACHE_BYTES);
+    }
+  } catch (error) {
+    console.warn(`Failed to write cache entry ${key}:`, error);
+  }
+
+  return entry;
+}
+
+/**
+ * Delete every cache entry
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCache() {
+  memoryStore.clear();
+
+  const db = await openDatabase();
+  if (!db) return;
+
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  await promisify(store.clear());
+  storedBytes = 0;
+}
+
+/**
+ * Update an entry's last access time in its own transaction
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storageKey - Versioned key
+ */
+function touchEntry(db, storageKey) {
+  try {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const getRequest = store.get(storageKey);
+    getRequest.onsuccess = () => {
+      if (getRequest.result) store.put({ ...getRequest.result, lastAccess: Date.now() });
+    };
+  } catch (error) {
+    console.warn(`Failed to record access to ${storageKey}:`, error);
+  }
+}
+
+/**
+ * Measure the store and, when it is over budget, remove least recently used entries until
+ * it is down to EVICTION_TARGET of the budget. Runs on the first write of a session and
+ * whenever the running total goes over budget; concurrent calls share one pass.
+ * @param {IDBDatabase} db - Open database
+ * @param {number} maxBytes - Size budget in bytes
+ * @returns {Promise<void>}
+ */
+function evictToSize(db, maxBytes) {
+  if (evictionPass) return evictionPass.promise;
+
+  const pass = { promise: null, unmeasuredBytes: 0 };
+  evictionPass = pass;
+
+  pass.promise = (async () => {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const entries = await promisify(store.index('lastAccess').getAll());
+
+    let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    // Entries come back oldest access first
+    if (totalSize > maxBytes) {
+      for (const entry of entries) {
+        if (totalSize <= maxBytes * EVICTION_TARGET) break;
+        store.delete(entry.key);
+        totalSize -= entry.size || 0;
+      }
+    }
+
+    storedBytes = totalSize + pass.unmeasuredBytes;
+  })().finally(() => {
+    evictionPass = null;
+  });
+
+  return pass.promise;
+}
+
+/**
+ * Rough byte size of a value once serialized
+ * @param {*} value - Value to measure
+ * @returns {number} Approximate size in bytes
+ */
+function estimateSize(value) {
+  try {
+    return JSON.stringify(value).length * 2; // UTF-16
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Check whether a cache entry is older than the given age
+ * @param {Object} entry - Cache entry
+ * @param {number} maxAge - Maximum age in milliseconds
+ * @returns {boolean} True if the entry should be refreshed
+ */
+export function isCacheEntryStale(entry, maxAge = DEFAULT_MAX_AGE) {
+  return !entry || Date.now() - entry.timestamp > maxAge;
+}
+
+/**
+ * Refresh a cache entry in the background; concurrent refreshes of one key are collapsed
+ * @param {string} key - Logical cache key
+ * @param {Function} fetcher - Async function producing a fresh value. It is called with
+ *   { revalidate: true } and should pass that on to its requests, so the refresh is not
+ *   answered by the service worker's copy of the same stale data.
+ * @param {Function} onUpdate - Called with (value, timestamp) once stored
+ */
+export function revalidateInBackground(key, fetcher, onUpdate) {
+  if (pendingRevalidations.has(key)) return;
+  pendingRevalidations.add(key);
+
+  fetcher({ revalidate: true })
+    .then(async value => {
+      const entry = await setCacheEntry(key, value);
+      if (onUpdate) onUpdate(value, entry.timestamp);
+    })
+    .catch(error => {
+      console.warn(`Background refresh failed for ${key}:`, error);
+    })
+    .finally(() => {
+      pendingRevalidations.delete(key);
+    });
+}
+
+/**
+ * Serve a cached value immediately and refresh it in the background when stale.
+ * Falls through to the fetcher when nothing is cached.
+ * @param {string} key - Logical cache key
+ * @param {Function} fetcher - Async function producing a fresh value; see revalidateInBackground
+ * @param {Object} options - Options
+ * @param {number} options.maxAge - Age in milliseconds after which a refresh is triggered
+ * @param {Function} options.onUpdate - Called with (value, timestamp) after a background refresh
+ * @returns {Promise<Object>} { value, timestamp, fromCache }
+ */
+export async function staleWhileRevalidate(key, fetcher, options = {}) {
+  const { maxAge = DEFAULT_MAX_AGE, onUpdate } = options;
+  const cached = await getCacheEntry(key);
+
+  if (!cached) {
+    const value = await fetcher({ revalidate: false });
+    const entry = await setCacheEntry(key, value);
+    return { value, timestamp: entry.timestamp, fromCache: false };
+  }
+
+  if (isCacheEntryStale(cached, maxAge)) {
+    revalidateInBackground(key, fetcher, onUpdate);
+  }
+
+  return { value: cached.value, timestamp: cached.timestamp, fromCache: true };
+}
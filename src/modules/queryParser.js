@@ -0,0 +1,259 @@
+/**
+ * Parser for the books page search syntax, e.g.
+ *   subject:magic year:1997..2007 lang:fre -"box set"
+ * - Words and "quoted phrases" must all match; OR (in capitals) offers alternatives
+ * - field:value restricts a word, phrase or range to one field
+ * - low..high is a range; either end may be left open (1997.., ..2007)
+ * - A leading - excludes a term; ( ) group terms
+ * The parser only knows the syntax. bookQuery.js decides what the fields mean.
+ */
+
+/**
+ * Error for a query that cannot be parsed or names an unknown field
+ */
+export class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Error message, shown to the visitor
+   * @param {number} position - Character offset in the query where the problem is
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Kinds of query syntax tree node
+ */
+export const QueryNode = Object.freeze({
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not',
+  TERM: 'term'
+});
+
+const OR_KEYWORD = 'OR';
+const RANGE_SEPARATOR = '..';
+
+/**
+ * Parse a query into a syntax tree
+ * @param {string} query - Query text
+ * @returns {Object|null} Root node, or null for an empty query. Term nodes carry
+ *   { field, value, phrase, range: { min, max } | null, prefix, position }; `prefix` marks a
+ *   word still being typed at the end of the query.
+ * @throws {QuerySyntaxError} When the query is malformed
+ */
+export function parseQuery(query) {
+  const tokens = tokenizeQuery(String(query || ''));
+  if (tokens.length === 0) return null;
+
+  const parser = { tokens, index: 0, depth: 0 };
+  const root = parseOr(parser);
+
+  const extra = parser.tokens[parser.index];
+  if (extra) {
+    throw new QuerySyntaxError(
+      extra.type === ')' ? 'Unmatched closing parenthesis' : `Unexpected "${extra.text}"`,
+      extra.position
+    );
+  }
+  return root;
+}
+
+/**
+ * Split a query into tokens: ( ) - OR, words, phrases and field:value terms
+ * @param {string} query - Query text
+ * @returns {Object[]} Tokens with their type, text and position
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < query.length) {
+    const char = query[position];
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position });
+      position++;
+    } else if (char === '-' && position + 1 < query.length && !/[\s)]/.test(query[position + 1])) {
+      tokens.push({ type: 'not', text: char, position });
+      position++;
+    } else if (char === '-') {
+      throw new QuerySyntaxError('Nothing to exclude after "-"', position);
+    } else {
+      const term = readTerm(query, position);
+      tokens.push(term.token);
+      position = term.end;
+    }
+  }
+
+  // The last word is still being typed unless the query ends in a space
+  const last = tokens[tokens.length - 1];
+  if (last?.type === 'term' && !last.phrase && !last.range && !/\s$/.test(query)) {
+    last.prefix = true;
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a word, phrase or field:value term starting at a position
+ * @param {string} query - Query text
+ * @param {number} start - Offset of the term's first character
+ * @returns {Object} { token, end }
+ */
+function readTerm(query, start) {
+  const fieldMatch = /^([a-z]+):/i.exec(query.slice(start));
+  const field = fieldMatch ? fieldMatch[1].toLowerCase() : null;
+  const valueStart = start + (fieldMatch ? fieldMatch[0].length : 0);
+
+  if (query[valueStart] === '"') {
+    const close = query.indexOf('"', valueStart + 1);
+    if (close === -1) {
+      throw new QuerySyntaxError('Missing closing quote', valueStart);
+    }
+
+    const value = query.slice(valueStart + 1, close).trim();
+    if (!value) {
+      throw new QuerySyntaxError('Empty quotes', valueStart);
+    }
+    return { token: createTerm({ field, value, phrase: true, position: start }), end: close + 1 };
+  }
+
+  let end = valueStart;
+  while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+  const value = query.slice(valueStart, end);
+
+  if (field && !value) {
+    throw new QuerySyntaxError(`Missing value after "${field}:"`, start);
+  }
+  if (!field && value === OR_KEYWORD) {
+    return { token: { type: 'or', text: value, position: start }, end };
+  }
+
+  // Only fields take ranges, so words like "etc..." stay words
+  const range = field ? parseRange(value, valueStart) : null;
+  return { token: createTerm({ field, value, range, position: start }), end };
+}
+
+/**
+ * Create a term token
+ * @param {Object} fields - Term fields
+ * @returns {Object} Term token
+ */
+function createTerm({ field, value, phrase = false, range = null, position }) {
+  return { type: 'term', text: value, field, value, phrase, range, prefix: false, position };
+}
+
+/**
+ * Split a low..high range
+ * @param {string} value - Term value
+ * @param {number} position - Offset of the value, for errors
+ * @returns {Object|null} { min, max } with null for an open end, or null when not a range
+ */
+function parseRange(value, position) {
+  const separator = value.indexOf(RANGE_SEPARATOR);
+  if (separator === -1) return null;
+
+  const min = value.slice(0, separator);
+  const max = value.slice(separator + RANGE_SEPARATOR.length);
+  if (!min && !max) {
+    throw new QuerySyntaxError('A range needs at least one end, e.g. 1997..2007', position);
+  }
+  return { min: min || null, max: max || null };
+}
+
+/**
+ * orExpression := andExpression ( OR andExpression )*
+ * @param {Object} parser - Parser state
+ * @returns {Object} Node
+ */
+function parseOr(parser) {
+  const children = [parseAnd(parser)];
+
+  while (parser.tokens[parser.index]?.type === 'or') {
+    parser.index++;
+    children.push(parseAnd(parser));
+  }
+
+  return children.length === 1 ? children[0] : { type: QueryNode.OR, children };
+}
+
+/**
+ * andExpression := unary+
+ * @param {Object} parser - Parser state
+ * @returns {Object} Node
+ */
+function parseAnd(parser) {
+  const children = [];
+
+  for (let token = parser.tokens[parser.index]; token && token.type !== 'or' && token.type !== ')'; token = parser.tokens[parser.index]) {
+    children.push(parseUnary(parser));
+  }
+
+  if (children.length === 0) {
+    const token = parser.tokens[parser.index];
+    const previous = parser.tokens[parser.index - 1];
+    if (token?.type === ')' && parser.depth === 0) {
+      throw new QuerySyntaxError('Unmatched closing parenthesis', token.position);
+    }
+    if (token?.type === 'or' || previous?.type === 'or') {
+      throw new QuerySyntaxError('OR needs a term on each side', (token || previous).position);
+    }
+    throw new QuerySyntaxError('Empty parentheses', previous ? previous.position : 0);
+  }
+
+  return children.length === 1 ? children[0] : { type: QueryNode.AND, children };
+}
+
+/**
+ * unary := - unary | primary
+ * @param {Object} parser - Parser state
+ * @returns {Object} Node
+ */
+function parseUnary(parser) {
+  if (parser.tokens[parser.index].type === 'not') {
+    parser.index++;
+    if (!parser.tokens[parser.index]) {
+      throw new QuerySyntaxError('Nothing to exclude after "-"', parser.tokens[parser.index - 1].position);
+    }
+    return { type: QueryNode.NOT, child: parseUnary(parser) };
+  }
+  return parsePrimary(parser);
+}
+
+/**
+ * primary := ( orExpression ) | term
+ * @param {Object} parser - Parser state
+ * @returns {Object} Node
+ */
+function parsePrimary(parser) {
+  const token = parser.tokens[parser.index];
+
+  if (token.type === '(') {
+    parser.index++;
+    if (!parser.tokens[parser.index]) {
+      throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+    }
+
+    parser.depth++;
+    const node = parseOr(parser);
+    if (parser.tokens[parser.index]?.type !== ')') {
+      throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+    }
+    parser.index++;
+    parser.depth--;
+    return node;
+  }
+
+  if (token.type !== 'term') {
+    throw new QuerySyntaxError(`Unexpected "${token.text}"`, token.position);
+  }
+
+  parser.index++;
+  const { field, value, phrase, range, prefix, position } = token;
+  return { type: QueryNode.TERM, field, value, phrase, range, prefix, position };
+}
@@ -0,0 +1,353 @@
+/**
+ * Retry with exponential backoff and per-host circuit breakers for external calls
+ */
+
+import { ErrorKind } from './httpClient.js';
+
+/**
+ * Circuit breaker states
+ */
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+// Default policy; override with configureResilience (e.g. in tests against a fake server)
+const policy = {
+  retries: 3,
+  baseDelay: 500, // first backoff step in milliseconds
+  maxDelay: 10000, // cap for a single backoff or Retry-After wait
+  failureThreshold: 5, // consecutive failures before a circuit opens
+  resetTimeout: 30000 // time an open circuit waits before allowing a trial request
+};
+
+// Status codes worth retrying; everything else is returned to the caller immediately
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Methods safe to repeat; others (e.g. POST to an LLM) are only retried when the caller opts in
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+const breakers = new Map();
+const statusListeners = new Set();
+
+/**
+ * Per-host circuit breaker
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} host - Host name the breaker guards
+   */
+  constructor(host) {
+    this.host = host;
+    this.state = CircuitState.CLOSED;
+    this.failureCount = 0;
+    this.openedAt = 0;
+    this.lastError = null;
+    this.probeInFlight = false; // a half-open circuit lets one trial request through at a time
+  }
+
+  /**
+   * Check whether a request may go through, moving an expired open circuit to half-open.
+   * While half-open only the first caller gets through; the rest are rejected until its
+   * trial request settles.
+   * @returns {boolean} True if the request is allowed
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= policy.resetTimeout) {
+      this.transition(CircuitState.HALF_OPEN);
+    }
+    if (this.state === CircuitState.OPEN) return false;
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.probeInFlight) return false;
+      this.probeInFlight = true;
+    }
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.probeInFlight = false;
+    this.failureCount = 0;
+    this.lastError = null;
+    if (this.state !== CircuitState.CLOSED) {
+      this.transition(CircuitState.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {string} message - Failure description
+   */
+  recordFailure(message) {
+    this.probeInFlight = false;
+    this.failureCount++;
+    this.lastError = message;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failureCount >= policy.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * Record a request that says nothing about the host's health (a client error or an abort),
+   * so the next caller may make the trial request
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Change state and notify listeners
+   * @param {string} state - New CircuitState
+   */
+  transition(state) {
+    if (this.state === state) return;
+    this.state = state;
+    notifyStatusListeners();
+  }
+}
+
+/**
+ * Override parts of the retry and circuit breaker policy
+ * @param {Object} overrides - Policy fields to change
+ */
+export function configureResilience(overrides = {}) {
+  Object.assign(policy, overrides);
+}
+
+/**
+ * Get (or create) the circuit breaker for a URL's host
+ * @param {string} url - Request URL
+ * @returns {CircuitBreaker} Breaker for the host
+ */
+export function getCircuitBreaker(url) {
+  const host = getHost(url);
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker(host));
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Snapshot of every known host's circuit state
+ * @returns {Object} Map of host to { state, failureCount, lastError }
+ */
+export function getServiceStatus() {
+  const status = {};
+  breakers.forEach((breaker, host) => {
+    status[host] = {
+      state: breaker.state,
+      failureCount: breaker.failureCount,
+      lastError: breaker.lastError
+    };
+  });
+  return status;
+}
+
+/**
+ * Check whether a host is currently degraded (circuit not closed)
+ * @param {string} hostOrUrl - Host name or URL
+ * @returns {boolean} True if the host's circuit is open or half-open
+ */
+export function isServiceDegraded(hostOrUrl) {
+  const breaker = breakers.get(getHost(hostOrUrl));
+  return Boolean(breaker && breaker.state !== CircuitState.CLOSED);
+}
+
+/**
+ * Subscribe to circuit state changes
+ * @param {Function} listener - Called with getServiceStatus() on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onServiceStatusChange(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Reset every circuit breaker to closed
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+  notifyStatusListeners();
+}
+
+/**
+ * Run a request attempt under the retry and circuit breaker policy.
+ * The attempt must resolve to an HttpResult and never throw.
+ * @param {string} url - Request URL, used to pick the circuit breaker
+ * @param {Function} attempt - async () => HttpResult
+ * @param {Object} options - Per-call overrides
+ * @param {number} options.retries - Retry count for this call
+ * @param {string} options.method - HTTP method; only idempotent methods are retried by default
+ * @param {boolean} options.idempotent - Retry even though the method is not idempotent
+ * @param {AbortSignal} options.signal - Stops retrying, and cuts a backoff wait short, when aborted
+ * @returns {Promise<Object>} Final HttpResult
+ */
+export async function executeWithPolicy(url, attempt, options = {}) {
+  const { retries = policy.retries, method = 'GET', signal } = options;
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(method.toUpperCase());
+  const breaker = getCircuitBreaker(url);
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    if (signal?.aborted) {
+      return createFailure(url, ErrorKind.ABORTED, 'Request aborted');
+    }
+
+    if (!breaker.allowRequest()) {
+      return createFailure(
+        url,
+        ErrorKind.CIRCUIT_OPEN,
+        `${breaker.host} is temporarily unavailable (circuit ${breaker.state})`
+      );
+    }
+
+    const result = await attempt();
+
+    if (result.ok) {
+      breaker.recordSuccess();
+      return result;
+    }
+
+    const retryable = isRetryable(result);
+    if (retryable) {
+      breaker.recordFailure(result.error.message);
+    } else {
+      breaker.releaseProbe();
+    }
+
+    if (!retryable || !idempotent || attemptNumber >= retries || signal?.aborted) {
+      return result;
+    }
+
+    try {
+      await sleep(getRetryDelay(result, attemptNumber), signal);
+    } catch {
+      return createFailure(url, ErrorKind.ABORTED, 'Request aborted while waiting to retry');
+    }
+  }
+}
+
+/**
+ * Build a failed HttpResult for a request that was never sent
+ * @param {string} url - Request URL
+ * @param {string} kind - ErrorKind
+ * @param {string} message - Error message
+ * @returns {Object} HttpResult
+ */
+function createFailure(url, kind, message) {
+  return {
+    ok: false,
+    status: 0,
+    statusText: '',
+    headers: {},
+    data: null,
+    error: { kind, message },
+    url,
+    fromCache: false
+  };
+}
+
+/**
+ * Decide whether a failed result is transient
+ * @param {Object} result - Failed HttpResult
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(result) {
+  const kind = result.error?.kind;
+  if (kind === ErrorKind.NETWORK || kind === ErrorKind.TIMEOUT) return true;
+  return kind === ErrorKind.HTTP && RETRYABLE_STATUSES.has(result.status);
+}
+
+/**
+ * Compute the wait before the next attempt: Retry-After when given,
+ * otherwise exponential backoff with full jitter
+ * @param {Object} result - Failed HttpResult
+ * @param {number} attemptNumber - Zero-based attempt that just failed
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(result, attemptNumber) {
+  const retryAfter = parseRetryAfter(result.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  const exponential = Math.min(policy.baseDelay * 2 ** attemptNumber, policy.maxDelay);
+  return Math.random() * exponential;
+}
+
+/**
+ * Parse a Retry-After header value (delta seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extract the host from a URL or return the value if it is already a host
+ * @param {string} hostOrUrl - Host name or URL
+ * @returns {string} Host name
+ */
+function getHost(hostOrUrl) {
+  if (!hostOrUrl.includes('/')) return hostOrUrl;
+
+  try {
+    return new URL(hostOrUrl, globalThis.location?.href).host;
+  } catch {
+    return hostOrUrl;
+  }
+}
+
+/**
+ * Notify status listeners of the current snapshot
+ */
+function notifyStatusListeners() {
+  const status = getServiceStatus();
+  statusListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('Service status listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Wait for the given time
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Ends the wait early
+ * @returns {Promise<void>} Rejects with the signal's reason when aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
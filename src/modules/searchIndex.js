@@ -0,0 +1,317 @@
+/**
+ * Full-text search over the loaded books.
+ * Text is tokenized, folded (case and diacritics) and stemmed into an inverted index, and
+ * matches are scored with BM25 per field, weighted by FIELD_BOOSTS. Query words that are not
+ * in the index match indexed words within a small edit distance, and the last word also
+ * matches as a prefix so results follow the visitor's typing.
+ */
+
+import { editDistance } from './utils.js';
+
+// Weight of a match in each field. A book's text is indexed under these names.
+export const FIELD_BOOSTS = {
+  title: 4,
+  subtitle: 2,
+  series: 2,
+  subjects: 1.5,
+  description: 1,
+  publishers: 0.5,
+  year: 1
+};
+
+// BM25 parameters: term-frequency saturation and field-length normalization
+const BM25 = { k1: 1.2, b: 0.75 };
+
+// Discounts for matches that are not exact
+const PREFIX_WEIGHT = 0.7;
+const TYPO_WEIGHT = 0.6;
+
+// Words left out of queries that have other words, so "the chamber of secrets" ranks by
+// "chamber" and "secrets" alone (see isStopWord)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Suffixes removed by the stemmer, longest first, as [suffix, replacement]
+const SUFFIX_RULES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+  ['ness', ''], ['ment', ''], ['ing', ''], ['ed', ''], ['ly', '']
+];
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Split text into folded, stemmed terms
+ * @param {string} text - Text
+ * @returns {string[]} Terms, in order
+ */
+export function tokenize(text) {
+  return splitWords(text).map(stem);
+}
+
+/**
+ * Check whether a query word is too common to help ranking
+ * @param {string} word - Query word
+ * @returns {boolean} True for stop words such as "the" and "of"
+ */
+export function isStopWord(word) {
+  return STOP_WORDS.has(foldText(word).trim());
+}
+
+/**
+ * Lowercase text and strip diacritics, so "Pokémon" and "pokemon" compare equal
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’]/g, '');
+}
+
+/**
+ * Reduce a folded word to a stem, so "wizards", "wizard" and "wizarding" share one term.
+ * Stems are for matching only and need not be words.
+ * @param {string} word - Folded word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH || /^\d+$/.test(word)) return word;
+
+  let stemmed = stripPlural(word);
+
+  const rule = SUFFIX_RULES.find(([suffix, replacement]) =>
+    stemmed.endsWith(suffix) && stemmed.length - suffix.length + replacement.length >= MIN_STEM_LENGTH);
+  if (rule) {
+    const [suffix, replacement] = rule;
+    stemmed = stemmed.slice(0, -suffix.length) + replacement;
+
+    // "stopped" and "stop" share a stem
+    if (/([^aeiouslz])\1$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+  }
+
+  // "making" and "make" share a stem
+  return stemmed.length > MIN_STEM_LENGTH && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+/**
+ * Inverted index over a list of books
+ */
+export class SearchIndex {
+  /**
+   * @param {Book[]} books - Books to index
+   */
+  constructor(books = []) {
+    this.build(books);
+  }
+
+  /**
+   * Index a list of books, replacing anything indexed before
+   * @param {Book[]} books - Books to index
+   */
+  build(books) {
+    this.books = books;
+    this.postings = new Map(); // term -> Map(book index -> { field: term frequency })
+    this.fieldLengths = books.map(() => ({}));
+    this.averageLengths = {};
+
+    books.forEach((book, bookIndex) => {
+      Object.entries(getBookFields(book)).forEach(([field, values]) => {
+        const terms = values.flatMap(tokenize);
+        this.fieldLengths[bookIndex][field] = terms.length;
+
+        terms.forEach(term => {
+          if (!this.postings.has(term)) this.postings.set(term, new Map());
+          const frequencies = this.postings.get(term);
+          if (!frequencies.has(bookIndex)) frequencies.set(bookIndex, {});
+          const fields = frequencies.get(bookIndex);
+          fields[field] = (fields[field] || 0) + 1;
+        });
+      });
+    });
+
+    Object.keys(FIELD_BOOSTS).forEach(field => {
+      const total = this.fieldLengths.reduce((sum, lengths) => sum + (lengths[field] || 0), 0);
+      this.averageLengths[field] = books.length > 0 ? total / books.length : 0;
+    });
+  }
+
+  /**
+   * Find the books matching a piece of text; every word must match
+   * @param {string} text - Text to look for
+   * @param {Object} options - Options
+   * @param {string[]|null} options.fields - Fields to look in (FIELD_BOOSTS keys), all by default
+   * @param {boolean} options.prefix - Let the last word match as the start of a longer word
+   * @param {boolean} options.phrase - Require the words next to each other and in order,
+   *   without typo or prefix matching
+   * @returns {Object} { scores: Map<Book, number>, terms: Set<string> }, where terms are the
+   *   indexed terms that matched, e.g. for highlighting
+   */
+  matchText(text, { fields = null, prefix = false, phrase = false } = {}) {
+    const words = tokenize(text);
+    const terms = new Set();
+    let scores = null;
+
+    words.forEach((word, position) => {
+      const variants = phrase
+        ? new Map(this.postings.has(word) ? [[word, 1]] : [])
+        : this.expandTerm(word, { prefix: prefix && position === words.length - 1 });
+
+      // A book scores by the closest variant of the word it contains
+      const wordScores = new Map();
+      variants.forEach((weight, indexedTerm) => {
+        terms.add(indexedTerm);
+        this.scorePostings(indexedTerm, fields).forEach((score, bookIndex) => {
+          wordScores.set(bookIndex, Math.max(wordScores.get(bookIndex) || 0, score * weight));
+        });
+      });
+
+      scores = scores === null ? wordScores : new Map(Array.from(scores)
+        .filter(([bookIndex]) => wordScores.has(bookIndex))
+        .map(([bookIndex, score]) => [bookIndex, score + wordScores.get(bookIndex)]));
+    });
+
+    const matches = new Map();
+    (scores || new Map()).forEach((score, bookIndex) => {
+      if (!phrase || this.containsPhrase(bookIndex, words, fields)) {
+        matches.set(this.books[bookIndex], score);
+      }
+    });
+    return { scores: matches, terms };
+  }
+
+  /**
+   * Check whether one of a book's field values has the terms next to each other, in order
+   * @param {number} bookIndex - Book index
+   * @param {string[]} phraseTerms - Stemmed terms
+   * @param {string[]|null} fields - Fields to look in, all by default
+   * @returns {boolean} True if the phrase occurs
+   */
+  containsPhrase(bookIndex, phraseTerms, fields) {
+    return Object.entries(getBookFields(this.books[bookIndex]))
+      .filter(([field]) => !fields || fields.includes(field))
+      .some(([, values]) => values.some(value => {
+        const terms = tokenize(value);
+        return terms.some((_, start) => phraseTerms.every((term, offset) => terms[start + offset] === term));
+      }));
+  }
+
+  /**
+   * Find the indexed terms a query term should match: itself, words it begins (when
+   * prefix matching), and, when the term itself is not indexed, words within the typo
+   * allowance for its length
+   * @param {string} term - Stemmed query term
+   * @param {Object} options - Options
+   * @param {boolean} options.prefix - Include prefix matches
+   * @returns {Map<string, number>} Weight by indexed term
+   */
+  expandTerm(term, { prefix = false } = {}) {
+    const matches = new Map();
+    const isIndexed = this.postings.has(term);
+    if (isIndexed) matches.set(term, 1);
+
+    // An exact match needs no typo variants, and then only prefix matching has to scan
+    const maxEdits = isIndexed ? 0 : getTypoAllowance(term);
+    if (!prefix && maxEdits === 0) return matches;
+    const addMatch = (indexedTerm, weight) => {
+      if ((matches.get(indexedTerm) || 0) < weight) matches.set(indexedTerm, weight);
+    };
+
+    this.postings.forEach((_, indexedTerm) => {
+      if (indexedTerm === term) return;
+
+      if (prefix && indexedTerm.startsWith(term)) {
+        addMatch(indexedTerm, PREFIX_WEIGHT);
+      } else if (maxEdits > 0 && Math.abs(indexedTerm.length - term.length) <= maxEdits) {
+        const distance = editDistance(term, indexedTerm, { transpositions: true });
+        if (distance <= maxEdits) addMatch(indexedTerm, TYPO_WEIGHT / distance);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * BM25 score of an indexed term for each book containing it, summed over fields with
+   * their boosts
+   * @param {string} term - Indexed term
+   * @param {string[]|null} allowedFields - Fields to count, all by default
+   * @returns {Map<number, number>} Score by book index, for books with the term in those fields
+   */
+  scorePostings(term, allowedFields = null) {
+    const frequencies = this.postings.get(term);
+    const scores = new Map();
+    if (!frequencies) return scores;
+
+    const documentCount = this.books.length;
+    const idf = Math.log(1 + (documentCount - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+    frequencies.forEach((fields, bookIndex) => {
+      let score = 0;
+      let found = false;
+      Object.entries(fields).forEach(([field, frequency]) => {
+        if (allowedFields && !allowedFields.includes(field)) return;
+
+        found = true;
+        const lengthRatio = this.fieldLengths[bookIndex][field] / (this.averageLengths[field] || 1);
+        const saturation = (frequency * (BM25.k1 + 1)) /
+          (frequency + BM25.k1 * (1 - BM25.b + BM25.b * lengthRatio));
+        score += FIELD_BOOSTS[field] * idf * saturation;
+      });
+      if (found) scores.set(bookIndex, score);
+    });
+
+    return scores;
+  }
+}
+
+/**
+ * Collect the searchable text of a book by field. Multi-valued fields keep their values
+ * apart so a phrase cannot run from one subject into the next.
+ * @param {Book} book - Book
+ * @returns {Object<string, string[]>} Values by field name
+ */
+function getBookFields(book) {
+  return {
+    title: [book.title],
+    subtitle: [book.subtitle],
+    series: [book.series],
+    subjects: book.subjects || [],
+    description: [book.description],
+    publishers: book.publishers || [],
+    year: [book.year ? String(book.year) : '']
+  };
+}
+
+/**
+ * Split folded text into words
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+function splitWords(text) {
+  return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Remove a plural ending
+ * @param {string} word - Folded word
+ * @returns {string} Singular form
+ */
+function stripPlural(word) {
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ss|ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Number of typos tolerated in a query term: none for short words and numbers
+ * @param {string} term - Stemmed query term
+ * @returns {number} Maximum edit distance
+ */
+function getTypoAllowance(term) {
+  if (/^\d+$/.test(term) || term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
@@ -0,0 +1,157 @@
+/**
+ * Series detection and reading order.
+ * Books are placed in the curated series from authorProfile.series by work key, then by title.
+ * Books outside those keep any series statement Open Library gave them.
+ */
+
+import { authorProfile } from './authorProfile.js';
+import { normalizeTitle } from './workMatcher.js';
+
+// Built on first use from authorProfile.series
+let curatedLookup = null;
+
+/**
+ * Attach `series` and `seriesIndex` to a book. A curated entry wins over Open Library's
+ * series statement. An Open Library statement naming a curated series is dropped when the
+ * book is not in that series' curated list, so companion books do not show "Book 8 of 7".
+ * @param {Book} book - Book to update in place
+ * @returns {Book} The same book
+ */
+export function assignSeries(book) {
+  const entry = findCuratedEntry(book);
+  if (entry) {
+    book.series = entry.series.name;
+    book.seriesIndex = entry.index;
+    return book;
+  }
+
+  if (book.series && findCuratedSeries(book.series)) {
+    book.series = null;
+    book.seriesIndex = null;
+  }
+  return book;
+}
+
+/**
+ * Get the number of books in a series
+ * @param {string} name - Series name
+ * @returns {number|null} Length of a curated series, or null when unknown
+ */
+export function getSeriesLength(name) {
+  return findCuratedSeries(name)?.books.length || null;
+}
+
+/**
+ * Describe a book's place in its series, e.g. "Book 3 of 7"
+ * @param {Book} book - Book
+ * @returns {string} Position, or '' when the index is unknown
+ */
+export function formatSeriesPosition(book) {
+  if (!book.series || !book.seriesIndex) return '';
+
+  const length = getSeriesLength(book.series);
+  return length ? `Book ${book.seriesIndex} of ${length}` : `Book ${book.seriesIndex}`;
+}
+
+/**
+ * List series names in display order: curated series as configured, then others by name
+ * @param {Book[]} books - Books to collect series from
+ * @returns {string[]} Series names present in the books
+ */
+export function getSeriesNames(books) {
+  const names = new Set(books.map(book => book.series).filter(Boolean));
+  return Array.from(names).sort(compareSeriesNames);
+}
+
+/**
+ * Compare series names for display: curated series as configured, then others by name
+ * @param {string} a - First series name
+ * @param {string} b - Second series name
+ * @returns {number} Sort order
+ */
+export function compareSeriesNames(a, b) {
+  return getSeriesRank(a) - getSeriesRank(b) || a.localeCompare(b);
+}
+
+/**
+ * Compare books by reading order: series books first, curated series in configured order,
+ * then by position within the series. Books outside any series compare equal.
+ * @param {Book} a - First book
+ * @param {Book} b - Second book
+ * @returns {number} Sort order
+ */
+export function compareSeriesOrder(a, b) {
+  if (!a.series || !b.series) {
+    return Number(!a.series) - Number(!b.series);
+  }
+
+  if (a.series !== b.series) {
+    return compareSeriesNames(a.series, b.series);
+  }
+
+  return (a.seriesIndex || Infinity) - (b.seriesIndex || Infinity);
+}
+
+/**
+ * Position of a series in authorProfile.series
+ * @param {string} name - Series name
+ * @returns {number} Index, or the number of curated series for other series
+ */
+function getSeriesRank(name) {
+  const series = findCuratedSeries(name);
+  const curated = authorProfile.series || [];
+  return series ? curated.indexOf(series) : curated.length;
+}
+
+/**
+ * Find a curated series by name or alias
+ * @param {string} name - Series name
+ * @returns {Object|null} Series definition
+ */
+function findCuratedSeries(name) {
+  const normalized = normalizeTitle(name);
+  return (authorProfile.series || []).find(series =>
+    [series.name, ...(series.aliases || [])].some(alias => normalizeTitle(alias) === normalized)
+  ) || null;
+}
+
+/**
+ * Find the curated entry for a book, by work key and then by title. A title matches when the
+ * book's normalized title equals the listed title or continues it with a subtitle.
+ * @param {Book} book - Book
+ * @returns {Object|null} { series, index }
+ */
+function findCuratedEntry(book) {
+  const lookup = getCuratedLookup();
+
+  if (book.key && lookup.byKey.has(book.key)) {
+    return lookup.byKey.get(book.key);
+  }
+
+  const title = normalizeTitle(book.title, authorProfile.titleEquivalents);
+  if (!title) return null;
+
+  const match = lookup.byTitle.find(item => title === item.title || title.startsWith(`${item.title} `));
+  return match ? match.entry : null;
+}
+
+/**
+ * Index the curated series by work key and normalized title
+ * @returns {Object} { byKey: Map, byTitle: Array<{ title, entry }> }
+ */
+function getCuratedLookup() {
+  if (curatedLookup) return curatedLookup;
+
+  curatedLookup = { byKey: new Map(), byTitle: [] };
+  (authorProfile.series || []).forEach(series => {
+    series.books.forEach((book, position) => {
+      const entry = { series, index: position + 1 };
+      if (book.workKey) curatedLookup.byKey.set(book.workKey, entry);
+      curatedLookup.byTitle.push({ title: normalizeTitle(book.title, authorProfile.titleEquivalents), entry });
+    });
+  });
+
+  // Longest titles first, so a title that extends another is not claimed by the shorter one
+  curatedLookup.byTitle.sort((a, b) => b.title.length - a.title.length);
+  return curatedLookup;
+}
@@ -0,0 +1,44 @@
+/**
+ * Service worker registration
+ */
+
+// Served from public/, so it sits at the site root and controls every page
+const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Register the offline service worker once the page has loaded, so precaching does not
+ * compete with the page's own requests. Set VITE_SERVICE_WORKER=off to disable it.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported or disabled
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || import.meta.env.VITE_SERVICE_WORKER === 'off') {
+    return null;
+  }
+
+  if (document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    cacheLoadedFiles();
+    return registration;
+  } catch (error) {
+    console.warn('Service worker registration failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Hand the worker the page and the scripts and styles it loaded. On the first visit they were
+ * fetched before the worker existed, and built asset names are hashed, so the worker cannot
+ * precache them itself. It ignores anything it does not serve network-first.
+ */
+async function cacheLoadedFiles() {
+  const { active } = await navigator.serviceWorker.ready;
+  const urls = [
+    location.href,
+    ...performance.getEntriesByType('resource').map(entry => entry.name)
+  ];
+  active?.postMessage({ type: 'cache-urls', urls });
+}
@@ -0,0 +1,237 @@
+/**
+ * Subject taxonomy shared by every module: subject clean-up rules and a genre hierarchy.
+ * Open Library subjects are free text ("Wizards -- Juvenile fiction", "magic", "Magic");
+ * normalizeSubjects turns them into one clean list, and the genre helpers group them under
+ * the hierarchy below.
+ */
+
+/**
+ * Genre hierarchy. Each genre lists keywords; a subject belongs to the first child genre
+ * (in order) with a keyword at the start of one of its words, and only falls back to a
+ * parent's own keywords when no child matches. Edit freely: names are what the filters show.
+ */
+export const GENRE_TAXONOMY = [
+  {
+    name: "Children's & Young Adult",
+    children: [
+      { name: "Children's Fiction", keywords: ['juvenile', 'children'] },
+      { name: 'Young Adult', keywords: ['young adult', 'teen'] }
+    ]
+  },
+  {
+    name: 'Fiction',
+    keywords: ['fiction', 'novel', 'stories'],
+    children: [
+      { name: 'Fantasy', keywords: ['fantasy', 'magic', 'wizard', 'witch', 'supernatural', 'mythology', 'fairy tale', 'imaginary place'] },
+      { name: 'Mystery & Crime', keywords: ['detective', 'mystery', 'mysteries', 'crime', 'police', 'private investigator', 'thriller', 'suspense'] },
+      { name: 'Historical Fiction', keywords: ['historical fiction'] },
+      { name: 'Adventure', keywords: ['adventure'] },
+      { name: 'Romance', keywords: ['romance', 'love stories'] },
+      { name: 'Literary Fiction', keywords: ['literary fiction', 'contemporary fiction', 'satire', 'humorous'] }
+    ]
+  },
+  {
+    name: 'Stage & Screen',
+    children: [
+      { name: 'Screenplays', keywords: ['screenplay', 'motion picture plays'] },
+      { name: 'Plays', keywords: ['drama', 'plays', 'theater'] },
+      { name: 'Film & TV Adaptations', keywords: ['film', 'motion picture', 'movie', 'television'] }
+    ]
+  },
+  {
+    name: 'Nonfiction',
+    keywords: ['nonfiction'],
+    children: [
+      { name: 'Biography & Memoir', keywords: ['biography', 'autobiography', 'memoir'] },
+      { name: 'History', keywords: ['history'] },
+      { name: 'Philosophy', keywords: ['philosophy'] },
+      { name: 'Psychology', keywords: ['psychology'] },
+      { name: 'Politics & Society', keywords: ['politics', 'government', 'social', 'sociology'] },
+      { name: 'Science', keywords: ['science'] },
+      { name: 'Education', keywords: ['education'] },
+      { name: 'Writing & Publishing', keywords: ['authorship', 'publishing', 'literary criticism', 'book clubs'] }
+    ]
+  },
+  {
+    name: 'Themes & Settings',
+    children: [
+      { name: 'School Stories', keywords: ['school', 'boarding school'] },
+      { name: 'Friendship', keywords: ['friendship'] },
+      { name: 'Family', keywords: ['families', 'family', 'orphans'] },
+      { name: 'Coming of Age', keywords: ['coming of age'] },
+      { name: 'British Settings', keywords: ['england', 'london', 'scotland', 'great britain', 'british'] }
+    ]
+  }
+];
+
+/**
+ * Subject clean-up rules, applied in order by normalizeSubject
+ */
+export const SUBJECT_RULES = {
+  // Subjects that say nothing about the book itself
+  ignore: [
+    /^accessible book$/i,
+    /^protected daisy$/i,
+    /^in library$/i,
+    /^large type books$/i,
+    /^nyt:/i,
+    /^open library staff picks$/i,
+    /reading level|grade \d|^readers\b/i,
+    /bibliography|indexes/i,
+    /^\d/
+  ],
+
+  // Different spellings of the same subject, as [pattern, replacement]
+  aliases: [
+    [/^wizardry$/i, 'Wizards'],
+    [/^magic,? fiction$/i, 'Magic'],
+    [/^fiction,? fantasy(,? general)?$/i, 'Fantasy fiction'],
+    [/^fiction,? mystery & detective(,? general)?$/i, 'Detective and mystery stories'],
+    [/^juvenile fiction$/i, "Children's fiction"],
+    [/^children's stories$/i, "Children's fiction"]
+  ],
+
+  // Longer subjects are dropped
+  maxLength: 60
+};
+
+// Leaves first, then parents; built on first use
+let genreIndex = null;
+
+/**
+ * Clean a subject: drop Library of Congress subdivisions ("Wizards -- Fiction" becomes
+ * "Wizards") and parenthetical qualifiers, apply aliases, and start with a capital
+ * @param {string} subject - Raw subject
+ * @returns {string|null} Clean subject, or null when it should be dropped
+ */
+export function normalizeSubject(subject) {
+  if (typeof subject !== 'string') return null;
+
+  let clean = subject
+    .split(/\s+--\s+/)[0]
+    .replace(/\s*\([^)]*\)\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!clean || clean.length > SUBJECT_RULES.maxLength) return null;
+  if (SUBJECT_RULES.ignore.some(pattern => pattern.test(clean))) return null;
+
+  const alias = SUBJECT_RULES.aliases.find(([pattern]) => pattern.test(clean));
+  if (alias) clean = alias[1];
+
+  return clean.charAt(0).toUpperCase() + clean.slice(1);
+}
+
+/**
+ * Normalize a list of subjects, dropping duplicates that differ only in case
+ * @param {string[]} subjects - Raw subjects
+ * @returns {string[]} Clean subjects, first occurrences kept
+ */
+export function normalizeSubjects(subjects) {
+  const seen = new Set();
+
+  return subjects.map(normalizeSubject).filter(subject => {
+    if (!subject) return false;
+
+    const key = subject.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Find the genre a subject belongs to
+ * @param {string} subject - Subject
+ * @returns {string|null} Genre name, or null when the subject is not a genre
+ */
+export function classifySubject(subject) {
+  const text = String(subject || '').toLowerCase();
+  if (!text) return null;
+
+  const match = getGenreIndex().find(genre => genre.patterns.some(pattern => pattern.test(text)));
+  return match ? match.name : null;
+}
+
+/**
+ * List the genres a book belongs to, most specific first
+ * @param {Book} book - Book
+ * @param {Object} options - Options
+ * @param {boolean} options.includeParents - Also list each genre's parent
+ * @returns {string[]} Genre names
+ */
+export function getBookGenres(book, { includeParents = false } = {}) {
+  const genres = new Set();
+
+  book.subjects.forEach(subject => {
+    const genre = classifySubject(subject);
+    if (!genre) return;
+
+    genres.add(genre);
+    const parent = getParentGenre(genre);
+    if (includeParents && parent) genres.add(parent);
+  });
+
+  return Array.from(genres);
+}
+
+/**
+ * Check whether a book belongs to a genre or one of its children
+ * @param {Book} book - Book
+ * @param {string} genre - Genre name
+ * @returns {boolean} True if the book is in the genre
+ */
+export function matchesGenre(book, genre) {
+  return getBookGenres(book, { includeParents: true }).includes(genre);
+}
+
+/**
+ * Get the parent of a genre
+ * @param {string} genre - Genre name
+ * @returns {string|null} Parent genre name, or null for top-level genres
+ */
+export function getParentGenre(genre) {
+  return getGenreIndex().find(entry => entry.name === genre)?.parent || null;
+}
+
+/**
+ * Order genre names as they appear in the hierarchy (parents before their children)
+ * @param {string[]} genres - Genre names
+ * @returns {string[]} Sorted copy
+ */
+export function sortGenres(genres) {
+  const order = GENRE_TAXONOMY.flatMap(parent => [parent.name, ...(parent.children || []).map(child => child.name)]);
+  return [...genres].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
+
+/**
+ * Flatten the hierarchy for classification: every child genre, then every parent
+ * @returns {Array<{name: string, parent: string|null, patterns: RegExp[]}>} Genres in match order
+ */
+function getGenreIndex() {
+  if (genreIndex) return genreIndex;
+
+  const toPatterns = keywords => (keywords || []).map(keyword => new RegExp(`(^|[^a-z])${escapeRegExp(keyword)}`));
+  const children = GENRE_TAXONOMY.flatMap(parent => (parent.children || []).map(child => ({
+    name: child.name,
+    parent: parent.name,
+    patterns: toPatterns(child.keywords)
+  })));
+  const parents = GENRE_TAXONOMY.map(parent => ({
+    name: parent.name,
+    parent: null,
+    patterns: toPatterns(parent.keywords)
+  }));
+
+  genreIndex = [...children, ...parents];
+  return genreIndex;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
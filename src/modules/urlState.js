@@ -0,0 +1,77 @@
+/**
+ * Books page view state in the query string, so filtered views can be bookmarked, shared
+ * and revisited with the back button, e.g. books.html?q=potter&lang=fre&decade=2000.
+ * Facets with several values repeat their parameter (lang=fre&lang=ger).
+ */
+
+import { FACETS, createFacetSelection } from './facets.js';
+import { addEvent } from './utils.js';
+
+const SEARCH_PARAM = 'q';
+const SORT_PARAM = 'sort';
+
+/**
+ * Read the view state from a query string
+ * @param {string} search - Query string, the current page's by default
+ * @returns {Object} { search, sort, facets }; sort is null when the URL does not set one
+ */
+export function readViewState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const facets = createFacetSelection();
+
+  FACETS.forEach(facet => {
+    const values = params.getAll(facet.param).map(value => value.trim()).filter(Boolean);
+    facets[facet.id] = Array.from(new Set(values));
+  });
+
+  return {
+    search: params.get(SEARCH_PARAM) || '',
+    sort: params.get(SORT_PARAM) || null,
+    facets
+  };
+}
+
+/**
+ * Write the view state to the address bar. Parameters the state does not own (e.g. debug)
+ * are kept. Nothing happens when the URL would not change.
+ * @param {Object} state - View state
+ * @param {string} state.search - Search text
+ * @param {string} state.sort - Sort key
+ * @param {Object<string, string[]>} state.facets - Selected values by facet ID
+ * @param {Object} options - Options
+ * @param {string} options.defaultSort - Sort key left out of the URL
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export function writeViewState({ search, sort, facets }, { defaultSort = null, replace = false } = {}) {
+  const url = new URL(window.location.href);
+  const params = url.searchParams;
+
+  [SEARCH_PARAM, SORT_PARAM, ...FACETS.map(facet => facet.param)].forEach(param => params.delete(param));
+
+  if (search.trim()) params.set(SEARCH_PARAM, search.trim());
+  FACETS.forEach(facet => {
+    (facets[facet.id] || []).forEach(value => params.append(facet.param, value));
+  });
+  if (sort && sort !== defaultSort) params.set(SORT_PARAM, sort);
+
+  if (url.href === window.location.href) return;
+
+  try {
+    if (replace) {
+      history.replaceState(history.state, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  } catch (error) {
+    // Browsers throttle rapid history updates; the view still works, only the URL lags
+    console.warn('Could not update the URL:', error.message);
+  }
+}
+
+/**
+ * Listen for back and forward navigation between view states
+ * @param {Function} callback - Called with the view state of the new URL
+ */
+export function onViewStateChange(callback) {
+  addEvent(window, 'popstate', () => callback(readViewState()));
+}
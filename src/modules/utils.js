@@ -39,13 +39,61 @@ export function debounce(func, wait) {
   };
 }
 
+// Characters with a meaning in HTML text or quoted attribute values
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
 /**
- * Format text for safe HTML insertion
+ * Format text for safe HTML insertion, in element content or a quoted attribute value
  * @param {string} text - Text to format
  * @returns {string} Formatted text
  */
 export function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Format a count for compact display, e.g. 12400 as "12K"
+ * @param {number} value - Count
+ * @returns {string} Formatted count
+ */
+export function formatCount(value) {
+  return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value || 0);
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {Object} options - Options
+ * @param {boolean} options.transpositions - Count swapping two adjacent characters as one
+ *   edit rather than two
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b, { transpositions = false } = {}) {
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (transpositions && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
 }
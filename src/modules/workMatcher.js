@@ -0,0 +1,259 @@
+/**
+ * Matching engine that pairs Open Library works with search results.
+ * Tries the work key first, then ISBN overlap, then normalized and fuzzy titles,
+ * and scores every pairing with a confidence between 0 and 1.
+ */
+
+import { editDistance } from './utils.js';
+
+/**
+ * How a pair of records was matched
+ */
+export const MatchMethod = Object.freeze({
+  WORK_KEY: 'work-key',
+  ISBN: 'isbn',
+  TITLE: 'title',
+  BASE_TITLE: 'base-title',
+  FUZZY_TITLE: 'fuzzy-title'
+});
+
+// Confidence assigned to each exact method; fuzzy matches are scored by title similarity
+const METHOD_CONFIDENCE = {
+  [MatchMethod.WORK_KEY]: 1,
+  [MatchMethod.ISBN]: 0.95,
+  [MatchMethod.TITLE]: 0.9,
+  [MatchMethod.BASE_TITLE]: 0.8
+};
+
+// Default thresholds; override per call through matchWorks options
+const MATCH_DEFAULTS = {
+  minConfidence: 0.6, // fuzzy pairs below this are left unmatched
+  lowConfidence: 0.8, // merges below this are flagged in the report
+  fuzzyWeight: 0.85, // fuzzy confidence = title similarity * weight
+  titleEquivalents: [] // [variant, canonical] title fragments treated as the same
+};
+
+const MAX_REPORTS = 20;
+
+const reports = [];
+const reportListeners = new Set();
+
+/**
+ * Normalize a title for comparison: fold case and diacritics, drop punctuation and
+ * leading articles, and rewrite known variant fragments to their canonical form
+ * @param {string} title - Title
+ * @param {Array} titleEquivalents - [variant, canonical] pairs, e.g. ["Sorcerer's Stone", "Philosopher's Stone"]
+ * @returns {string} Normalized title
+ */
+export function normalizeTitle(title, titleEquivalents = []) {
+  let normalized = ` ${foldTitle(title)} `;
+
+  titleEquivalents.forEach(([variant, canonical]) => {
+    normalized = normalized.replace(` ${foldTitle(variant)} `, ` ${foldTitle(canonical)} `);
+  });
+
+  return normalized.trim().replace(/^(the|a|an) /, '');
+}
+
+/**
+ * Normalize a title with its subtitle and any parenthetical removed
+ * @param {string} title - Title
+ * @param {Array} titleEquivalents - [variant, canonical] pairs
+ * @returns {string} Normalized base title
+ */
+export function normalizeBaseTitle(title, titleEquivalents = []) {
+  const base = String(title || '').split(/\s*[:;(]|\s+[-–—]\s+/)[0];
+  return normalizeTitle(base, titleEquivalents);
+}
+
+/**
+ * Similarity of two strings from their edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical strings, down to 0
+ */
+export function titleSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Pair each work with at most one candidate record
+ * @param {Array} works - Books built from the author's works
+ * @param {Array} candidates - Books built from search results
+ * @param {Object} options - Overrides for MATCH_DEFAULTS
+ * @returns {Object} { matches, unmatchedWorks, unmatchedCandidates } where each match is
+ *   { work, candidate, method, confidence, lowConfidence }
+ */
+export function matchWorks(works, candidates, options = {}) {
+  const settings = { ...MATCH_DEFAULTS, ...options };
+  const matches = [];
+  const remainingWorks = new Set(works);
+  const remainingCandidates = new Set(candidates);
+
+  /**
+   * Record a match and take both records out of the pool
+   * @param {Object} work - Work record
+   * @param {Object} candidate - Candidate record
+   * @param {string} method - MatchMethod
+   * @param {number} confidence - Confidence score
+   */
+  const accept = (work, candidate, method, confidence) => {
+    matches.push({
+      work,
+      candidate,
+      method,
+      confidence,
+      lowConfidence: confidence < settings.lowConfidence
+    });
+    remainingWorks.delete(work);
+    remainingCandidates.delete(candidate);
+  };
+
+  // Exact stages: index candidates by a key and claim the first unclaimed hit
+  const exactStages = [
+    { method: MatchMethod.WORK_KEY, keysOf: book => (book.key ? [book.key] : []) },
+    { method: MatchMethod.ISBN, keysOf: book => book.isbns || [] },
+    { method: MatchMethod.TITLE, keysOf: book => [normalizeTitle(book.title, settings.titleEquivalents)] },
+    { method: MatchMethod.BASE_TITLE, keysOf: book => [normalizeBaseTitle(book.title, settings.titleEquivalents)] }
+  ];
+
+  exactStages.forEach(({ method, keysOf }) => {
+    const index = new Map();
+    remainingCandidates.forEach(candidate => {
+      keysOf(candidate).filter(Boolean).forEach(key => {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(candidate);
+      });
+    });
+
+    [...remainingWorks].forEach(work => {
+      for (const key of keysOf(work).filter(Boolean)) {
+        const candidate = (index.get(key) || []).find(item => remainingCandidates.has(item));
+        if (candidate) {
+          accept(work, candidate, method, METHOD_CONFIDENCE[method]);
+          break;
+        }
+      }
+    });
+  });
+
+  // Fuzzy stage: score every remaining pair and assign the best ones first
+  const scoredPairs = [];
+  remainingWorks.forEach(work => {
+    const workTitle = normalizeBaseTitle(work.title, settings.titleEquivalents);
+    remainingCandidates.forEach(candidate => {
+      const candidateTitle = normalizeBaseTitle(candidate.title, settings.titleEquivalents);
+
+      // Skip pairs whose lengths alone rule out a match
+      const lengthRatio = Math.min(workTitle.length, candidateTitle.length) /
+        Math.max(workTitle.length, candidateTitle.length, 1);
+      if (lengthRatio < settings.minConfidence) return;
+
+      const confidence = titleSimilarity(workTitle, candidateTitle) * settings.fuzzyWeight;
+      if (confidence >= settings.minConfidence) {
+        scoredPairs.push({ work, candidate, confidence });
+      }
+    });
+  });
+
+  scoredPairs
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(({ work, candidate, confidence }) => {
+      if (remainingWorks.has(work) && remainingCandidates.has(candidate)) {
+        accept(work, candidate, MatchMethod.FUZZY_TITLE, Number(confidence.toFixed(3)));
+      }
+    });
+
+  return {
+    matches,
+    unmatchedWorks: [...remainingWorks],
+    unmatchedCandidates: [...remainingCandidates]
+  };
+}
+
+/**
+ * Summarize a matchWorks result for the debug panel
+ * @param {string} label - What was matched, e.g. "OL23919A offset 0"
+ * @param {Object} result - matchWorks result
+ * @returns {Object} Report { label, createdAt, matchedCount, byMethod, lowConfidence, unmatchedWorks, unmatchedCandidates }
+ */
+export function createMatchReport(label, result) {
+  const byMethod = {};
+  result.matches.forEach(({ method }) => {
+    byMethod[method] = (byMethod[method] || 0) + 1;
+  });
+
+  const describe = book => ({ title: book.title, key: book.key || null });
+
+  return {
+    label,
+    createdAt: Date.now(),
+    matchedCount: result.matches.length,
+    byMethod,
+    lowConfidence: result.matches
+      .filter(match => match.lowConfidence)
+      .map(match => ({
+        work: describe(match.work),
+        candidate: describe(match.candidate),
+        method: match.method,
+        confidence: match.confidence
+      })),
+    unmatchedWorks: result.unmatchedWorks.map(describe),
+    unmatchedCandidates: result.unmatchedCandidates.map(describe)
+  };
+}
+
+/**
+ * Keep a match report and notify listeners
+ * @param {Object} report - Report from createMatchReport
+ */
+export function publishMatchReport(report) {
+  reports.push(report);
+  if (reports.length > MAX_REPORTS) {
+    reports.shift();
+  }
+
+  reportListeners.forEach(listener => {
+    try {
+      listener(report);
+    } catch (error) {
+      console.error('Match report listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Get the most recent match reports, oldest first
+ * @returns {Array} Reports
+ */
+export function getMatchReports() {
+  return [...reports];
+}
+
+/**
+ * Subscribe to new match reports
+ * @param {Function} listener - Called with each published report
+ * @returns {Function} Unsubscribe function
+ */
+export function onMatchReport(listener) {
+  reportListeners.add(listener);
+  return () => reportListeners.delete(listener);
+}
+
+/**
+ * Lowercase, strip diacritics and punctuation, and collapse whitespace
+ * @param {string} title - Title
+ * @returns {string} Folded title
+ */
+function foldTitle(title) {
+  return String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
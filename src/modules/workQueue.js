@@ -0,0 +1,102 @@
+/**
+ * Concurrency-limited work queue with per-task timeouts and an overall deadline
+ */
+
+/**
+ * Error used when a task is cut off by its timeout or the queue deadline
+ */
+export class QueueTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueTimeoutError';
+  }
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` tasks in flight.
+ * Each task receives an AbortSignal that fires on its own timeout or when the
+ * overall deadline passes; tasks not started before the deadline are skipped.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, { signal, index }) => result
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum tasks in flight
+ * @param {number} options.taskTimeout - Per-task timeout in milliseconds
+ * @param {number} options.deadline - Overall deadline in milliseconds from start
+ * @param {Function} options.onResult - Called with (result, item, index) as each task succeeds
+ * @param {AbortSignal} options.signal - Cancels the whole queue
+ * @returns {Promise<Array>} Settled outcomes in item order: { status: 'fulfilled'|'rejected'|'skipped', value?, reason? }
+ */
+export async function runWithConcurrency(items, worker, options = {}) {
+  const {
+    concurrency = 6,
+    taskTimeout = 5000,
+    deadline = Infinity,
+    onResult,
+    signal
+  } = options;
+
+  const outcomes = new Array(items.length).fill(null).map(() => ({ status: 'skipped' }));
+  const queueController = new AbortController();
+  let nextIndex = 0;
+
+  const onCancel = () => queueController.abort();
+  signal?.addEventListener('abort', onCancel);
+
+  const deadlineId = Number.isFinite(deadline)
+    ? setTimeout(() => queueController.abort(), deadline)
+    : null;
+
+  /**
+   * Run a single task with its own timeout linked to the queue signal
+   * @param {number} index - Item index
+   */
+  async function runTask(index) {
+    const item = items[index];
+    const taskController = new AbortController();
+    const abortTask = () => taskController.abort();
+    const timeoutId = setTimeout(abortTask, taskTimeout);
+    queueController.signal.addEventListener('abort', abortTask);
+
+    try {
+      const value = await worker(item, { signal: taskController.signal, index });
+      if (taskController.signal.aborted) {
+        throw new QueueTimeoutError(`Task ${index} timed out`);
+      }
+      outcomes[index] = { status: 'fulfilled', value };
+    } catch (error) {
+      outcomes[index] = { status: 'rejected', reason: error };
+    } finally {
+      clearTimeout(timeoutId);
+      queueController.signal.removeEventListener('abort', abortTask);
+    }
+
+    // A failing callback is the caller's bug, not the task's; it must not change the outcome
+    if (onResult && outcomes[index].status === 'fulfilled') {
+      try {
+        onResult(outcomes[index].value, item, index);
+      } catch (error) {
+        console.error(`Result callback failed for task ${index}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Pull items off the queue until it is empty or the deadline passes
+   */
+  async function runLane() {
+    while (nextIndex < items.length && !queueController.signal.aborted) {
+      const index = nextIndex++;
+      await runTask(index);
+    }
+  }
+
+  const laneCount = Math.max(1, Math.min(concurrency, items.length));
+  try {
+    await Promise.all(Array.from({ length: laneCount }, () => runLane()));
+  } finally {
+    if (deadlineId) clearTimeout(deadlineId);
+    signal?.removeEventListener('abort', onCancel);
+  }
+
+  return outcomes;
+}
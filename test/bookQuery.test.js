@@ -0,0 +1,77 @@
+/**
+ * Running parsed queries against books: left-out words and queries with nothing to search for
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmptyQueryError, searchBooks } from '../src/modules/bookQuery.js';
+import { QuerySyntaxError } from '../src/modules/queryParser.js';
+import { SearchIndex } from '../src/modules/searchIndex.js';
+
+/**
+ * Build a book with the fields queries read
+ * @param {Object} fields - Book fields
+ * @returns {Object} Book
+ */
+function book(fields) {
+  return {
+    title: '', subtitle: '', series: '', subjects: [], description: '', publishers: [],
+    languages: [], year: null, rating: null, ...fields
+  };
+}
+
+const index = new SearchIndex([
+  book({ title: 'Harry Potter and the Chamber of Secrets', year: 1998 }),
+  book({ title: 'The Casual Vacancy', year: 2012 }),
+  book({ title: 'It', year: 1986 })
+]);
+
+/**
+ * Titles matching a query, best match first, with the reported error
+ * @param {string} query - Query text
+ * @returns {Object} { titles, error }
+ */
+function search(query) {
+  const { results, error } = searchBooks(query, index);
+  return { titles: results.map(result => result.book.title), error };
+}
+
+describe('left-out words', () => {
+  test('ignores words without letters or digits', () => {
+    assert.deepEqual(search('harry & potter').titles, ['Harry Potter and the Chamber of Secrets']);
+    assert.equal(search('harry & potter').error, null);
+  });
+
+  test('drops stop words from alternatives as well', () => {
+    assert.deepEqual(search('(the OR vacancy) casual').titles, ['The Casual Vacancy']);
+  });
+
+  test('searches a query of only stop words as typed', () => {
+    assert.deepEqual(search('it ').titles, ['It']);
+  });
+});
+
+describe('queries with nothing to search for', () => {
+  test('reports punctuation-only queries and keeps every book', () => {
+    const { titles, error } = search('!!!');
+
+    assert.ok(error instanceof EmptyQueryError);
+    assert.equal(error.message, '"!!!" has no words or numbers to search for');
+    assert.equal(titles.length, 3);
+  });
+
+  test('reports excluded and grouped punctuation the same way', () => {
+    assert.ok(search('-?? (... OR !!)').error instanceof EmptyQueryError);
+  });
+
+  test('does not report queries with a field filter', () => {
+    const { titles, error } = search('!!! year:..2000');
+
+    assert.equal(error, null);
+    assert.deepEqual(titles.sort(), ['Harry Potter and the Chamber of Secrets', 'It']);
+  });
+
+  test('keeps reporting syntax errors first', () => {
+    assert.ok(search('"!!!').error instanceof QuerySyntaxError);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * AI description provider against the stub LLM endpoint, in each request format it speaks
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createServer as createViteServer } from 'vite';
+import llmStub from '../server/llmStub.cjs';
+
+const { handleLlmStub } = llmStub;
+
+// Request formats served by the stub, with where each one carries the prompt
+const FORMATS = [
+  { path: '/llm/v1/chat/completions', promptOf: body => body.messages.map(message => message.content).join('\n') },
+  { path: '/llm/v1/completions', promptOf: body => body.prompt },
+  { path: '/llm/completion', promptOf: body => body.prompt }
+];
+
+let server;
+let baseUrl;
+let vite;
+let apiService;
+let llmProvider;
+let requests;
+let nextWorkId = 1;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    // Record each request body as the stub reads it
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => requests.push({ path: req.url, body: JSON.parse(data) }));
+
+    if (!handleLlmStub(req, res)) {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // apiService reads import.meta.env, so it is loaded through Vite
+  vite = await createViteServer({
+    logLevel: 'error',
+    appType: 'custom',
+    optimizeDeps: { noDiscovery: true },
+    server: { middlewareMode: true, hmr: false, watch: null }
+  });
+  apiService = await vite.ssrLoadModule('/src/modules/apiService.js');
+  const { DescriptionSource, getDescriptionProviders } = await vite.ssrLoadModule('/src/modules/descriptionProviders.js');
+  llmProvider = getDescriptionProviders().find(provider => provider.id === DescriptionSource.LLM);
+});
+
+after(async () => {
+  await vite.close();
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+/**
+ * Build a book with a work key no other test has used, so nothing is cached for it yet
+ * @returns {Object} Book
+ */
+function createBook() {
+  return {
+    id: `/works/OL${nextWorkId}W`,
+    key: `/works/OL${nextWorkId++}W`,
+    title: 'The Orchard Keeper',
+    year: 2004,
+    series: 'Valley Chronicles',
+    seriesIndex: 2,
+    subjects: ['Family saga', 'Rural life']
+  };
+}
+
+FORMATS.forEach(({ path, promptOf }) => {
+  describe(`POST ${path}`, () => {
+    before(() => {
+      apiService.configureEndpoints({ llm: `${baseUrl}${path}` });
+    });
+
+    test('sends a prompt with the book\'s subjects, year and series', async () => {
+      await llmProvider.fetch(createBook());
+
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].path, path);
+      const prompt = promptOf(requests[0].body);
+      assert.match(prompt, /^Title: The Orchard Keeper$/m);
+      assert.match(prompt, /^First published: 2004$/m);
+      assert.match(prompt, /^Series: Valley Chronicles, book 2$/m);
+      assert.match(prompt, /^Subjects: Family saga, Rural life$/m);
+    });
+
+    test('cleans the completion down to its first sentence', async () => {
+      const description = await llmProvider.fetch(createBook());
+
+      // The stub answers with two sentences, after a leading space in the completion formats
+      assert.equal(
+        description,
+        'The Orchard Keeper is a richly imagined story that draws readers into a world of vivid characters and gathering mystery.'
+      );
+    });
+
+    test('serves a second request for the same work from the cache', async () => {
+      const book = createBook();
+
+      const first = await llmProvider.fetch(book);
+      const second = await llmProvider.fetch({ ...book });
+
+      assert.equal(second, first);
+      assert.equal(requests.length, 1);
+    });
+  });
+});
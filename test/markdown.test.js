@@ -0,0 +1,61 @@
+/**
+ * Markdown rendering of curated content: supported syntax and HTML escaping
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdownSections, renderMarkdown } from '../src/modules/markdown.js';
+
+describe('escaping', () => {
+  test('escapes HTML in text', () => {
+    assert.equal(
+      renderMarkdown('<script>alert("x")</script> & more'),
+      '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more</p>'
+    );
+  });
+
+  test('escapes HTML inside code spans and link labels', () => {
+    assert.equal(renderMarkdown('`<b>`'), '<p><code>&lt;b&gt;</code></p>');
+    assert.equal(
+      renderMarkdown('[<img src=x>](https://example.com)'),
+      '<p><a href="https://example.com" target="_blank" rel="noopener">&lt;img src=x&gt;</a></p>'
+    );
+  });
+
+  test('keeps quotes in link targets inside the attribute', () => {
+    assert.equal(
+      renderMarkdown('[link](https://example.com/?q="x"onclick=y)'),
+      '<p><a href="https://example.com/?q=&quot;x&quot;onclick=y" target="_blank" rel="noopener">link</a></p>'
+    );
+  });
+
+  test('renders links with unsafe schemes as plain text', () => {
+    assert.equal(renderMarkdown('[click](javascript:alert)'), '<p>click</p>');
+    assert.equal(renderMarkdown('[data](data:text/html,x)'), '<p>data</p>');
+    assert.match(renderMarkdown('[about](/aboutMe.html)'), /<a href="\/aboutMe.html"/);
+  });
+});
+
+describe('blocks and inline syntax', () => {
+  test('renders headings with an offset, lists and quotes', () => {
+    assert.equal(renderMarkdown('## Early life', { headingOffset: 1 }), '<h3>Early life</h3>');
+    assert.equal(renderMarkdown('- one\n- two'), '<ul><li>one</li><li>two</li></ul>');
+    assert.equal(renderMarkdown('1. one\n2) two'), '<ol><li>one</li><li>two</li></ol>');
+    assert.equal(renderMarkdown('> quoted\n> text'), '<blockquote><p>quoted text</p></blockquote>');
+  });
+
+  test('renders emphasis but not inside code', () => {
+    assert.equal(renderMarkdown('**bold** and _italic_'), '<p><strong>bold</strong> and <em>italic</em></p>');
+    assert.equal(renderMarkdown('`**raw**`'), '<p><code>**raw**</code></p>');
+  });
+});
+
+describe('sections', () => {
+  test('splits at level-2 headings, with explicit or derived IDs', () => {
+    const sections = parseMarkdownSections('ignored\n## Personal Journey {#personal}\nText\n\n## Writing Life\nMore');
+
+    assert.deepEqual(Object.keys(sections), ['personal', 'writing-life']);
+    assert.deepEqual(sections.personal, { id: 'personal', title: 'Personal Journey', markdown: 'Text' });
+    assert.equal(sections['writing-life'].markdown, 'More');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Search query syntax: terms, fields, ranges, operators and syntax errors
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryNode, QuerySyntaxError, parseQuery } from '../src/modules/queryParser.js';
+
+/**
+ * Build the term node the parser produces, for comparisons
+ * @param {Object} fields - Term fields that differ from a plain word
+ * @returns {Object} Term node
+ */
+function term(fields) {
+  return { type: QueryNode.TERM, field: null, phrase: false, range: null, prefix: false, ...fields };
+}
+
+/**
+ * Assert that a query fails to parse
+ * @param {string} query - Query text
+ * @param {string} message - Expected error message
+ * @param {number} position - Expected error position
+ */
+function assertSyntaxError(query, message, position) {
+  assert.throws(() => parseQuery(query), error => {
+    assert.ok(error instanceof QuerySyntaxError);
+    assert.equal(error.message, message);
+    assert.equal(error.position, position);
+    return true;
+  });
+}
+
+describe('terms', () => {
+  test('returns null for an empty query', () => {
+    assert.equal(parseQuery(''), null);
+    assert.equal(parseQuery('   '), null);
+  });
+
+  test('treats the last word as a prefix until the query ends in a space', () => {
+    assert.deepEqual(parseQuery('potter'), term({ value: 'potter', prefix: true, position: 0 }));
+    assert.deepEqual(parseQuery('potter '), term({ value: 'potter', position: 0 }));
+  });
+
+  test('requires every word', () => {
+    assert.deepEqual(parseQuery('chamber secrets '), {
+      type: QueryNode.AND,
+      children: [term({ value: 'chamber', position: 0 }), term({ value: 'secrets', position: 8 })]
+    });
+  });
+
+  test('reads quoted phrases and field qualifiers', () => {
+    assert.deepEqual(parseQuery('"box set"'), term({ value: 'box set', phrase: true, position: 0 }));
+    assert.deepEqual(parseQuery('Subject:magic '), term({ field: 'subject', value: 'magic', position: 0 }));
+    assert.deepEqual(
+      parseQuery('title:"half blood"'),
+      term({ field: 'title', value: 'half blood', phrase: true, position: 0 })
+    );
+  });
+
+  test('reads ranges with open ends on fields only', () => {
+    assert.deepEqual(parseQuery('year:1997..2007').range, { min: '1997', max: '2007' });
+    assert.deepEqual(parseQuery('year:2000..').range, { min: '2000', max: null });
+    assert.deepEqual(parseQuery('rating:..4').range, { min: null, max: '4' });
+    assert.equal(parseQuery('etc...').range, null);
+  });
+});
+
+describe('operators', () => {
+  test('groups alternatives and exclusions', () => {
+    const root = parseQuery('(magic OR wizard) -"box set"');
+
+    assert.equal(root.type, QueryNode.AND);
+    assert.deepEqual(root.children[0], {
+      type: QueryNode.OR,
+      children: [term({ value: 'magic', position: 1 }), term({ value: 'wizard', position: 10 })]
+    });
+    assert.deepEqual(root.children[1], {
+      type: QueryNode.NOT,
+      child: term({ value: 'box set', phrase: true, position: 19 })
+    });
+  });
+
+  test('binds OR looser than implicit AND', () => {
+    const root = parseQuery('a b OR c');
+
+    assert.equal(root.type, QueryNode.OR);
+    assert.equal(root.children[0].type, QueryNode.AND);
+    assert.equal(root.children[1].value, 'c');
+  });
+
+  test('keeps a lowercase or and a hyphenated word as words', () => {
+    assert.deepEqual(parseQuery('this or that ').children.map(child => child.value), ['this', 'or', 'that']);
+    assert.equal(parseQuery('half-blood').value, 'half-blood');
+  });
+});
+
+describe('syntax errors', () => {
+  test('reports unbalanced quotes and parentheses', () => {
+    assertSyntaxError('"half blood', 'Missing closing quote', 0);
+    assertSyntaxError('magic)', 'Unmatched closing parenthesis', 5);
+    assertSyntaxError('(magic', 'Missing closing parenthesis', 0);
+    assertSyntaxError('()', 'Empty parentheses', 0);
+    assertSyntaxError('""', 'Empty quotes', 0);
+  });
+
+  test('reports operators without operands', () => {
+    assertSyntaxError('OR magic', 'OR needs a term on each side', 0);
+    assertSyntaxError('magic OR', 'OR needs a term on each side', 6);
+    assertSyntaxError('magic -', 'Nothing to exclude after "-"', 6);
+  });
+
+  test('reports fields without values and empty ranges', () => {
+    assertSyntaxError('title:', 'Missing value after "title:"', 0);
+    assertSyntaxError('year:..', 'A range needs at least one end, e.g. 1997..2007', 5);
+  });
+});
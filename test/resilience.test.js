@@ -0,0 +1,214 @@
+/**
+ * Retry and circuit breaker policy against a local JSON server with scripted failures
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import failureScript from '../server/failureScript.cjs';
+import { ErrorKind, request } from '../src/modules/httpClient.js';
+import {
+  CircuitState,
+  configureResilience,
+  getCircuitBreaker,
+  resetCircuitBreakers
+} from '../src/modules/resilience.js';
+
+const { clearScriptedFailures, scriptFailures, serveWithFailures } = failureScript;
+
+const ROUTE = '/works/OL1W/ratings.json';
+const RATINGS = { summary: { count: 0 }, counts: {} };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    serveWithFailures(req, res, pathname, () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(RATINGS));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  clearScriptedFailures();
+  resetCircuitBreakers();
+  configureResilience({ retries: 3, baseDelay: 5, maxDelay: 200, failureThreshold: 5, resetTimeout: 100 });
+});
+
+/**
+ * Fetch the test route without the response cache
+ * @param {Object} options - Extra request options
+ * @returns {Promise<Object>} HttpResult
+ */
+function fetchRoute(options = {}) {
+  return request(`${baseUrl}${ROUTE}`, { cache: false, ...options });
+}
+
+describe('retries', () => {
+  test('retries server errors until the request succeeds', async () => {
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 500 }]);
+
+    const result = await fetchRoute();
+
+    assert.equal(result.ok, true);
+    assert.equal(result.data.summary.count, 0);
+  });
+
+  test('gives up after the configured retries and returns the last failure', async () => {
+    scriptFailures(ROUTE, [{ status: 502 }, { status: 502 }, { status: 503 }]);
+
+    const result = await fetchRoute({ retry: { retries: 2 } });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 503);
+    assert.equal(result.error.kind, ErrorKind.HTTP);
+  });
+
+  test('waits for Retry-After on 429', async () => {
+    scriptFailures(ROUTE, [{ status: 429, retryAfter: 0.15 }]);
+
+    const started = Date.now();
+    const result = await fetchRoute();
+
+    assert.equal(result.ok, true);
+    assert.ok(Date.now() - started >= 140, 'waited for Retry-After');
+  });
+
+  test('does not retry client errors', async () => {
+    scriptFailures(ROUTE, [{ status: 404 }, { status: 503 }]);
+
+    const result = await fetchRoute();
+
+    assert.equal(result.status, 404);
+    assert.equal(getCircuitBreaker(baseUrl).failureCount, 0);
+  });
+
+  test('retries dropped connections and hung requests', async () => {
+    scriptFailures(ROUTE, [{ reset: true }, { hang: true }, { delay: 20 }]);
+
+    const result = await fetchRoute({ timeout: 100 });
+
+    assert.equal(result.ok, true);
+  });
+
+  test('reports a timeout when every attempt hangs', async () => {
+    scriptFailures(ROUTE, [{ hang: true }, { hang: true }]);
+
+    const result = await fetchRoute({ timeout: 50, retry: { retries: 1 } });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, ErrorKind.TIMEOUT);
+  });
+});
+
+describe('cancellation and methods', () => {
+  test('stops waiting to retry when the caller aborts', async () => {
+    configureResilience({ maxDelay: 5000 });
+    scriptFailures(ROUTE, [{ status: 429, retryAfter: 2 }]);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const started = Date.now();
+    const result = await fetchRoute({ signal: controller.signal });
+
+    assert.equal(result.error.kind, ErrorKind.ABORTED);
+    assert.ok(Date.now() - started < 1000, 'returned before the Retry-After wait ended');
+  });
+
+  test('does not retry POST requests', async () => {
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 418 }]);
+
+    const result = await fetchRoute({ method: 'POST', body: {} });
+
+    assert.equal(result.status, 503);
+    assert.equal((await fetchRoute()).status, 418);
+  });
+
+  test('retries POST requests the caller marks idempotent', async () => {
+    scriptFailures(ROUTE, [{ status: 503 }]);
+
+    const result = await fetchRoute({ method: 'POST', body: {}, retry: { idempotent: true } });
+
+    assert.equal(result.ok, true);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures and stops calling the host', async () => {
+    configureResilience({ failureThreshold: 3 });
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 418 }]);
+
+    const failed = await fetchRoute({ retry: { retries: 5 } });
+    const rejected = await fetchRoute();
+
+    assert.equal(failed.error.kind, ErrorKind.CIRCUIT_OPEN);
+    assert.equal(rejected.error.kind, ErrorKind.CIRCUIT_OPEN);
+    assert.equal(getCircuitBreaker(baseUrl).state, CircuitState.OPEN);
+
+    // The fourth step was never requested
+    resetCircuitBreakers();
+    assert.equal((await fetchRoute()).status, 418);
+  });
+
+  test('closes again after a successful trial request', async () => {
+    configureResilience({ failureThreshold: 2, resetTimeout: 50 });
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 503 }]);
+
+    await fetchRoute({ retry: { retries: 1 } });
+    assert.equal(getCircuitBreaker(baseUrl).state, CircuitState.OPEN);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const result = await fetchRoute();
+
+    assert.equal(result.ok, true);
+    assert.equal(getCircuitBreaker(baseUrl).state, CircuitState.CLOSED);
+  });
+
+  test('reopens when the trial request fails', async () => {
+    configureResilience({ failureThreshold: 1, resetTimeout: 50 });
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 503 }]);
+
+    await fetchRoute({ retry: { retries: 0 } });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const result = await fetchRoute({ retry: { retries: 0 } });
+
+    assert.equal(result.status, 503);
+    assert.equal(getCircuitBreaker(baseUrl).state, CircuitState.OPEN);
+  });
+
+  test('lets a single trial request through while half-open', async () => {
+    configureResilience({ failureThreshold: 1, resetTimeout: 50 });
+    scriptFailures(ROUTE, [{ status: 503 }, { delay: 50 }]);
+
+    await fetchRoute({ retry: { retries: 0 } });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const results = await Promise.all(Array.from({ length: 5 }, () => fetchRoute({ retry: { retries: 0 } })));
+
+    assert.equal(results.filter(result => result.ok).length, 1);
+    assert.equal(results.filter(result => result.error?.kind === ErrorKind.CIRCUIT_OPEN).length, 4);
+    assert.equal(getCircuitBreaker(baseUrl).state, CircuitState.CLOSED);
+  });
+
+  test('frees the trial slot when the trial request gets a client error', async () => {
+    configureResilience({ failureThreshold: 1, resetTimeout: 50 });
+    scriptFailures(ROUTE, [{ status: 503 }, { status: 404 }]);
+
+    await fetchRoute({ retry: { retries: 0 } });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const trial = await fetchRoute({ retry: { retries: 0 } });
+    const next = await fetchRoute({ retry: { retries: 0 } });
+
+    assert.equal(trial.status, 404);
+    assert.equal(next.ok, true);
+  });
+});
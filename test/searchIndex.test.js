@@ -0,0 +1,137 @@
+/**
+ * Tokenizer, stemmer and BM25 ranking of the books search index
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, foldText, isStopWord, stem, tokenize } from '../src/modules/searchIndex.js';
+
+/**
+ * Build a book with the fields the index reads
+ * @param {Object} fields - Book fields
+ * @returns {Object} Book
+ */
+function book(fields) {
+  return { title: '', subtitle: '', series: '', subjects: [], description: '', publishers: [], year: null, ...fields };
+}
+
+/**
+ * Titles of the matching books, best match first
+ * @param {SearchIndex} index - Index
+ * @param {string} text - Query text
+ * @param {Object} options - matchText options
+ * @returns {string[]} Titles
+ */
+function search(index, text, options) {
+  return Array.from(index.matchText(text, options).scores)
+    .sort((a, b) => b[1] - a[1])
+    .map(([match]) => match.title);
+}
+
+describe('tokenizer', () => {
+  test('folds case, accents and apostrophes', () => {
+    assert.equal(foldText('Pokémon'), 'pokemon');
+    assert.deepEqual(tokenize('The Wizards’ ÉCOLE'), ['the', 'wizard', 'ecol']);
+  });
+
+  test('splits on punctuation and keeps numbers', () => {
+    assert.deepEqual(tokenize('Harry Potter (1997) - Book #1'), ['harry', 'potter', '1997', 'book', '1']);
+    assert.deepEqual(tokenize('!!!'), []);
+  });
+
+  test('recognizes stop words in any case', () => {
+    assert.equal(isStopWord('The'), true);
+    assert.equal(isStopWord('wizard'), false);
+  });
+});
+
+describe('stemmer', () => {
+  test('gives inflections one stem', () => {
+    assert.equal(stem('wizards'), stem('wizard'));
+    assert.equal(stem('wizarding'), stem('wizard'));
+    assert.equal(stem('making'), stem('make'));
+    assert.equal(stem('stopped'), stem('stop'));
+    assert.equal(stem('stories'), 'story');
+  });
+
+  test('leaves short words and numbers alone', () => {
+    assert.equal(stem('bed'), 'bed');
+    assert.equal(stem('1997'), '1997');
+    assert.equal(stem('sings'), 'sing');
+  });
+});
+
+describe('ranking', () => {
+  const index = new SearchIndex([
+    book({ title: 'Magic Stone' }),
+    book({ title: 'Dragon Tales', description: 'A book about magic and more magic' }),
+    book({ title: 'Wizard School', subjects: ['Magic'] }),
+    book({ title: 'Chamber of Secrets', description: 'Secrets kept in a chamber' })
+  ]);
+
+  test('ranks title matches above subject and description matches', () => {
+    assert.deepEqual(search(index, 'magic'), ['Magic Stone', 'Dragon Tales', 'Wizard School']);
+  });
+
+  test('looks only in the requested fields', () => {
+    assert.deepEqual(search(index, 'magic', { fields: ['subjects'] }), ['Wizard School']);
+  });
+
+  test('requires every word', () => {
+    assert.deepEqual(search(index, 'magic stone'), ['Magic Stone']);
+    assert.deepEqual(search(index, 'magic chamber'), []);
+  });
+
+  test('gives rarer terms more weight', () => {
+    const titles = new SearchIndex([
+      book({ title: 'Magic Dragon' }),
+      book({ title: 'Magic Wand' }),
+      book({ title: 'Magic Hat' })
+    ]);
+    const [magicDragon] = titles.books;
+
+    assert.ok(titles.matchText('dragon').scores.get(magicDragon) > titles.matchText('magic').scores.get(magicDragon));
+  });
+
+  test('favours shorter fields for the same term', () => {
+    const titles = new SearchIndex([
+      book({ title: 'Magic' }),
+      book({ title: 'The Long Book of Magic Spells' })
+    ]);
+
+    assert.deepEqual(search(titles, 'magic'), ['Magic', 'The Long Book of Magic Spells']);
+  });
+
+  test('matches typos and word prefixes at a discount', () => {
+    assert.deepEqual(search(index, 'wizzard'), ['Wizard School']);
+    assert.deepEqual(search(index, 'wiz', { prefix: true }), ['Wizard School']);
+    assert.deepEqual(search(index, 'wiz'), []);
+
+    const exact = index.matchText('wizard').scores;
+    const typo = index.matchText('wizzard').scores;
+    const [wizardSchool] = exact.keys();
+    assert.ok(typo.get(wizardSchool) < exact.get(wizardSchool));
+  });
+
+  test('matches phrases only with the words together and in order', () => {
+    assert.deepEqual(search(index, 'chamber of secrets', { phrase: true }), ['Chamber of Secrets']);
+    assert.deepEqual(search(index, 'secrets chamber', { phrase: true }), []);
+  });
+});
+
+describe('term expansion', () => {
+  const index = new SearchIndex([book({ title: 'Magic' }), book({ title: 'Magik' }), book({ title: 'Magician' })]);
+
+  test('skips typo variants when the exact term is indexed', () => {
+    assert.deepEqual(Array.from(index.expandTerm('magic')), [['magic', 1]]);
+    assert.deepEqual(search(index, 'magic'), ['Magic']);
+  });
+
+  test('still matches longer words as prefixes', () => {
+    assert.deepEqual(Array.from(index.expandTerm('magic', { prefix: true }).keys()), ['magic', 'magician']);
+  });
+
+  test('falls back to typo variants for unknown terms', () => {
+    assert.deepEqual(Array.from(index.expandTerm('magiq').keys()).sort(), ['magic', 'magik']);
+  });
+});
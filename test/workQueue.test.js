@@ -0,0 +1,121 @@
+/**
+ * Concurrency limit, per-task timeouts and the overall deadline of the work queue
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueueTimeoutError, runWithConcurrency } from '../src/modules/workQueue.js';
+
+/**
+ * Resolve with a value after a delay, ignoring abort signals
+ * @param {number} ms - Delay in milliseconds
+ * @param {*} value - Value to resolve with
+ * @returns {Promise<*>} Value
+ */
+function resolveAfter(ms, value) {
+  return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+describe('concurrency', () => {
+  test('keeps at most the given number of tasks in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await resolveAfter(5);
+      inFlight--;
+    }, { concurrency: 3 });
+
+    assert.equal(maxInFlight, 3);
+  });
+
+  test('returns outcomes in item order and reports each result', async () => {
+    const reported = [];
+
+    const outcomes = await runWithConcurrency([30, 10, 20], (ms, { index }) => resolveAfter(ms, index), {
+      concurrency: 3,
+      onResult: (value, item) => reported.push(item)
+    });
+
+    assert.deepEqual(outcomes, [0, 1, 2].map(value => ({ status: 'fulfilled', value })));
+    assert.deepEqual(reported, [10, 20, 30]);
+  });
+
+  test('records failed tasks without stopping the queue', async () => {
+    const error = new Error('boom');
+
+    const outcomes = await runWithConcurrency(['ok', 'fail', 'ok'], async item => {
+      if (item === 'fail') throw error;
+      return item;
+    }, { concurrency: 1 });
+
+    assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(outcomes[1].reason, error);
+  });
+
+  test('keeps a task fulfilled when its result callback throws', async t => {
+    const logged = t.mock.method(console, 'error', () => {});
+
+    const outcomes = await runWithConcurrency(['a', 'b'], async item => item, {
+      concurrency: 1,
+      onResult: (value, item) => {
+        if (item === 'a') throw new Error('render failed');
+      }
+    });
+
+    assert.deepEqual(outcomes, [
+      { status: 'fulfilled', value: 'a' },
+      { status: 'fulfilled', value: 'b' }
+    ]);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+});
+
+describe('timeouts', () => {
+  test('aborts a task that runs past its timeout', async () => {
+    let aborted = false;
+
+    const [outcome] = await runWithConcurrency(['slow'], async (item, { signal }) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+      });
+      return resolveAfter(60, item);
+    }, { taskTimeout: 20 });
+
+    assert.equal(aborted, true);
+    assert.equal(outcome.status, 'rejected');
+    assert.ok(outcome.reason instanceof QueueTimeoutError);
+  });
+
+  test('stops starting tasks at the deadline and skips the rest', async () => {
+    const started = [];
+
+    const outcomes = await runWithConcurrency(['a', 'b', 'c', 'd'], (item, { signal }) => {
+      started.push(item);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(item), 40);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('aborted'));
+        });
+      });
+    }, { concurrency: 1, deadline: 60 });
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'rejected', 'skipped', 'skipped']);
+  });
+
+  test('cancels the queue when the caller aborts', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    const outcomes = await runWithConcurrency([1, 2, 3], () => resolveAfter(30), {
+      concurrency: 1,
+      signal: controller.signal
+    });
+
+    assert.deepEqual(outcomes.map(outcome => outcome.status), ['rejected', 'skipped', 'skipped']);
+  });
+});